@@ -0,0 +1,54 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var fileUtils = require('./fileUtils');
+
+var bundlerVersion = require('../package.json').version;
+
+// analysis results format follows analyzer code, which may change without version bump during development
+var analyzerHash = crypto.createHash('md5').update(fs.readFileSync(path.join(__dirname, 'sourceAnalyzer.js'))).digest('hex');
+
+exports.AnalysisCache = AnalysisCache;
+
+/**
+ * Analysis results of js files kept between runs. Cache is dropped as a whole when bundler version, analyzer or config
+ * change, since all of them affect what is stored for every file.
+ * @param filePath {string} cache file path
+ * @param config {Object} config the cache is built for
+ * @constructor
+ */
+function AnalysisCache(filePath, config) {
+    var key = crypto.createHash('md5').update(bundlerVersion + '\n' + analyzerHash + '\n' + JSON.stringify(config)).digest('hex');
+
+    /**
+     * @returns {Object<string, AnalyzedFile>} cached files by real paths, empty if cache is missing or outdated
+     */
+    this.load = function() {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+
+        var cache;
+        try {
+            cache = JSON.parse(fs.readFileSync(filePath) + '');
+        } catch (e) {
+            console.warn("Analysis cache " + filePath + " is broken and will be rebuilt: " + e.message);
+            return {};
+        }
+
+        return cache && cache.key === key && cache.files ? cache.files : {};
+    };
+
+    /**
+     * @param files {Object<string, AnalyzedFile>}
+     */
+    this.save = function(files) {
+        fileUtils.makeDirectory(path.dirname(filePath));
+        fs.writeFileSync(filePath, JSON.stringify({
+            key: key,
+            files: files
+        }));
+    };
+}
\ No newline at end of file
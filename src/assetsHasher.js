@@ -0,0 +1,220 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var urlUtils = require('url');
+var fileUtils = require('./fileUtils');
+
+exports.AssetsHasher = AssetsHasher;
+
+/**
+ * @typedef {Object} HashConfig
+ * @property {'query'|'filename'} mode append hash as query parameter or write hashed copies of files
+ * @property {string=} param query parameter name, 'v' by default
+ * @property {number=} length hash length, 8 by default
+ * @property {string=} dir directory hashed copies are written to, urls paths are kept under it
+ * @property {string=} url url of hashed copies directory
+ * @property {string=} manifest path of written JSON manifest with hashed urls by original urls
+ */
+
+/**
+ * Adds content hash to imported urls and remembers every hashed url for assets manifest
+ * @param config {HashConfig}
+ * @constructor
+ */
+function AssetsHasher(config) {
+    var self = this;
+
+    /**
+     * Hashed urls by original urls
+     * @type {Object<string, string>}
+     */
+    this.assets = {};
+
+    /**
+     * @param url {string} import url
+     * @param filePath {string} real path of imported file
+     * @returns {string} url with content hash, or given url if file is not found
+     */
+    this.hashUrl = function(url, filePath) {
+        return self.hashAsset(url, filePath).url;
+    };
+
+    /**
+     * Hash given asset, write its hashed copy in 'filename' mode and remember hashed url for manifest
+     * @param url {string} import url
+     * @param filePath {string} real path of imported file
+     * @param content {(Buffer|string)=} content of file, read from real path if missing
+     * @returns {HashedAsset} asset served by hashed url, given url and no content if file is not found
+     */
+    this.hashAsset = function(url, filePath, content) {
+        var asset = self.previewAsset(url, filePath, content);
+
+        if (asset.copyPath) {
+            fileUtils.makeDirectory(path.dirname(asset.copyPath));
+            fs.writeFileSync(asset.copyPath, asset.content);
+
+            if (asset.sourceMap) {
+                fs.writeFileSync(asset.sourceMap.path, asset.sourceMap.content);
+            }
+        }
+
+        if (asset.content) {
+            self.assets[url] = asset.url;
+        }
+
+        return asset;
+    };
+
+    /**
+     * Hash given asset the same way hashAsset does, without writing anything
+     * @param url {string} import url
+     * @param filePath {string} real path of imported file
+     * @param content {(Buffer|string)=} content of file, read from real path if missing
+     * @returns {HashedAsset}
+     */
+    this.previewAsset = function(url, filePath, content) {
+        var asset = new HashedAsset();
+        asset.url = url;
+
+        if (!content) {
+            if (!filePath || !fs.existsSync(filePath)) {
+                return asset;
+            }
+
+            content = fs.readFileSync(filePath);
+        }
+
+        var hash = crypto.createHash('md5').update(content).digest('hex').substr(0, config.length || 8);
+
+        if (config.mode === 'filename') {
+            var plainUrl = url.replace(/[?#].*$/, '');
+            var hashedPath = insertHash(plainUrl, hash);
+
+            asset.url = config.url.replace(/\/$/, '') + '/' + hashedPath.replace(/^\//, '');
+            asset.copyPath = path.join(config.dir, hashedPath);
+            asset.content = content;
+
+            var mapReference = findSourceMapReference(content + '');
+            if (mapReference) {
+                // copy is renamed, so its relative source map reference is renamed as well
+                var mapName = path.basename(hashedPath) + '.map';
+                var text = content + '';
+
+                asset.content = text.substring(0, mapReference.index) + mapName +
+                                text.substring(mapReference.index + mapReference.url.length);
+                asset.sourceMap = copySourceMap(path.join(path.dirname(filePath), mapReference.url),
+                                                urlUtils.resolve(plainUrl, mapReference.url),
+                                                path.join(path.dirname(asset.copyPath), mapName),
+                                                path.basename(hashedPath));
+            }
+        } else {
+            asset.url = url + (url.indexOf('?') >= 0 ? '&' : '?') + (config.param || 'v') + '=' + hash;
+            asset.content = content;
+        }
+
+        return asset;
+    };
+
+    /**
+     * Write manifest of all urls hashed so far, if configured
+     */
+    this.writeManifest = function() {
+        if (!config.manifest) {
+            return;
+        }
+
+        var manifest = Object.keys(self.assets).sort().reduce(function(prev, url) {
+            prev[url] = self.assets[url];
+            return prev;
+        }, {});
+
+        fileUtils.makeDirectory(path.dirname(config.manifest));
+        fs.writeFileSync(config.manifest, JSON.stringify(manifest, null, 2));
+    };
+}
+
+/**
+ * @param url {string}
+ * @param hash {string}
+ * @returns {string} url with hash inserted before file extension
+ */
+function insertHash(url, hash) {
+    var extension = path.extname(url);
+
+    return url.substring(0, url.length - extension.length) + '.' + hash + extension;
+}
+
+/**
+ * @param text {string} js or css file content
+ * @returns {?{url: string, index: number}} relative source map url of sourceMappingURL comment and its offset
+ */
+function findSourceMapReference(text) {
+    var pattern = /\/[\/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+    var match;
+    var last = null;
+
+    while ((match = pattern.exec(text)) !== null) {
+        last = match;
+    }
+
+    // absolute urls and inline maps are valid from any location
+    if (!last || /^([a-z][\w+.-]*:|\/)/i.test(last[1])) {
+        return null;
+    }
+
+    return {
+        url: last[1],
+        index: last.index + last[0].length - last[1].length
+    };
+}
+
+/**
+ * @param mapPath {string} real path of original source map
+ * @param mapUrl {string} url of original source map
+ * @param copyPath {string} path of renamed copy
+ * @param fileName {string} name of hashed file the copy belongs to
+ * @returns {?{path: string, content: string}} copy with sources resolved against original map url, null if map is
+ * not found
+ */
+function copySourceMap(mapPath, mapUrl, copyPath, fileName) {
+    if (!fs.existsSync(mapPath)) {
+        return null;
+    }
+
+    var map = JSON.parse(fs.readFileSync(mapPath) + '');
+    map.file = fileName;
+    map.sourceRoot = urlUtils.resolve(mapUrl, (map.sourceRoot || '.').replace(/\/?$/, '/'));
+
+    return {
+        path: copyPath,
+        content: JSON.stringify(map)
+    };
+}
+
+function HashedAsset() {
+    /**
+     * Hashed url, or original url if file is not found
+     * @type {string}
+     */
+    this.url = null;
+
+    /**
+     * Content served by url
+     * @type {?(Buffer|string)}
+     */
+    this.content = null;
+
+    /**
+     * Path of hashed copy in 'filename' mode
+     * @type {?string}
+     */
+    this.copyPath = null;
+
+    /**
+     * Renamed copy of source map referenced by hashed copy
+     * @type {?{path: string, content: string}}
+     */
+    this.sourceMap = null;
+}
\ No newline at end of file
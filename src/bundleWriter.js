@@ -0,0 +1,169 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var SourceMapGenerator = require('source-map').SourceMapGenerator;
+var UglifyJS = require('uglify-js');
+var fileUtils = require('./fileUtils');
+
+var fileSeparator = ';\n';
+
+/**
+ * 'use strict' directive heading file, possibly after comments and other directives
+ * @type {RegExp}
+ */
+var strictPrologue = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(['"])(?!use strict)[^'"\n]*\1\s*;?)*(['"])use strict\2/;
+
+var strictWrapperStart = '(function() {\n';
+var strictWrapperEnd = '}).call(this);\n';
+
+/**
+ * @typedef {Object} BundleConfig
+ * @property {string} dir directory bundles are written to
+ * @property {string} url url of bundles directory used in import tags
+ * @property {'app'|'module'} split one bundle per ng-app or one bundle per module
+ * @property {boolean} minify
+ * @property {boolean} sourceMap
+ */
+
+/**
+ * Concatenate given files into single bundle file (minified if configured) with matching source map
+ * @param name {string} bundle name - ng-app or module name
+ * @param sourcePaths {string[]} real paths of files in import order
+ * @param config {BundleConfig}
+ * @param log {function(string)=} writer of progress messages, console.log by default
+ * @returns {BundleFile} written bundle
+ */
+module.exports.writeBundle = function(name, sourcePaths, config, log) {
+    var bundleFile = buildBundle(name, sourcePaths, config);
+
+    fileUtils.makeDirectory(config.dir);
+    fs.writeFileSync(bundleFile.path, bundleFile.code);
+    if (bundleFile.mapPath) {
+        fs.writeFileSync(bundleFile.mapPath, bundleFile.map);
+    }
+
+    (log || console.log)("Bundle " + path.basename(bundleFile.path) + " written from " + sourcePaths.length + " files");
+
+    return bundleFile;
+};
+
+module.exports.buildBundle = buildBundle;
+
+/**
+ * Build bundle the same way writeBundle does, without writing it
+ * @param name {string} bundle name - ng-app or module name
+ * @param sourcePaths {string[]} real paths of files in import order
+ * @param config {BundleConfig}
+ * @param contents {Object<string, string>=} content of files not written yet by real path
+ * @returns {BundleFile}
+ */
+function buildBundle(name, sourcePaths, config, contents) {
+    var fileName = name + (config.minify ? '.min.js' : '.js');
+    var mapFileName = fileName + '.map';
+    var concatenated = concatenate(sourcePaths, fileName, config.dir, contents || {});
+
+    var code = concatenated.code;
+    var map = concatenated.map.toString();
+
+    if (config.minify) {
+        var minified = UglifyJS.minify(code, {
+            compress: {directives: false}, // uglify drops 'use strict' of wrapped files otherwise
+            sourceMap: config.sourceMap ? {content: map, url: mapFileName} : false
+        });
+
+        if (minified.error) {
+            throw Error("Unable to minify bundle " + fileName + ": " + minified.error.message);
+        }
+
+        code = minified.code;
+        map = minified.map;
+    } else if (config.sourceMap) {
+        code += '//# sourceMappingURL=' + mapFileName;
+    }
+
+    var bundleFile = new BundleFile();
+    bundleFile.url = config.url.replace(/\/$/, '') + '/' + fileName;
+    bundleFile.path = path.join(config.dir, fileName);
+    bundleFile.code = code;
+
+    if (config.sourceMap) {
+        bundleFile.map = map;
+        bundleFile.mapPath = path.join(config.dir, mapFileName);
+    }
+
+    return bundleFile;
+}
+
+/**
+ * Files with 'use strict' directive are wrapped into function, so the directive applies to them only and survives
+ * minification. Their top level declarations are not globals any more.
+ * @param sourcePaths {string[]}
+ * @param fileName {string}
+ * @param dir {string} bundle directory, source map paths are relative to it
+ * @param contents {Object<string, string>} content of files not written yet by real path
+ * @returns {{code: string, map: SourceMapGenerator}}
+ */
+function concatenate(sourcePaths, fileName, dir, contents) {
+    var map = new SourceMapGenerator({file: fileName});
+    var code = '';
+    var generatedLine = 1;
+
+    sourcePaths.forEach(function(sourcePath) {
+        var content = contents.hasOwnProperty(sourcePath) ? contents[sourcePath] : fs.readFileSync(sourcePath) + '';
+        var source = content.replace(/\r?\n$/, '');
+        var sourceName = path.relative(dir, sourcePath).split(path.sep).join('/');
+        var lines = source.split('\n');
+        var strict = strictPrologue.test(source);
+        var firstLine = generatedLine + (strict ? 1 : 0);
+
+        lines.forEach(function(line, index) {
+            map.addMapping({
+                generated: {line: firstLine + index, column: 0},
+                original: {line: index + 1, column: 0},
+                source: sourceName
+            });
+        });
+        map.setSourceContent(sourceName, source);
+
+        if (strict) {
+            code += strictWrapperStart + source + '\n' + strictWrapperEnd;
+            generatedLine += lines.length + 2;
+        } else {
+            code += source + '\n' + fileSeparator;
+            generatedLine += lines.length + 1;
+        }
+    });
+
+    return {
+        code: code,
+        map: map
+    };
+}
+
+function BundleFile() {
+    /**
+     * @type {string}
+     */
+    this.url = null;
+
+    /**
+     * @type {string}
+     */
+    this.path = null;
+
+    /**
+     * @type {string}
+     */
+    this.code = null;
+
+    /**
+     * @type {?string}
+     */
+    this.map = null;
+
+    /**
+     * @type {?string}
+     */
+    this.mapPath = null;
+}
\ No newline at end of file
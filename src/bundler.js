@@ -4,25 +4,44 @@ var fs = require("fs");
 var util = require("util");
 var modulesBuilder = require('./modulesBuilder');
 var importsWriter = require('./importsWriter');
+var templatesBuilder = require('./templatesBuilder');
+var lazyManifest = require('./lazyManifest');
+var assetsHasher = require('./assetsHasher');
+var deadCodeReport = require('./deadCodeReport');
+var diagnostics = require('./diagnostics');
+var textDiff = require('./textDiff');
+var graphExport = require('./graphExport');
+var dependencyQueries = require('./dependencyQueries');
+var sizeReport = require('./sizeReport');
+var analysisCache = require('./analysisCache');
+var lintRules = require('./lintRules');
+var vendorScanner = require('./vendorScanner');
+var templatesValidator = require('./templatesValidator');
 
 /**
  * @param config {BundlerConfig}
+ * @param log {function(string)=} writer of progress messages, console.log by default
  * @returns {Bundle}
  */
-module.exports = function(config) {
+module.exports = function(config, log) {
     validateConfig(config);
+    log = log || console.log;
 
-    return new Bundle(config, buildModules(config));
+    var collector = createModulesCollector(config, log);
+    collector.update();
+
+    return new Bundle(config, collector, log);
 };
 
 /**
  * @param config {BundlerConfig}
- * @param modules {ModulesStructure}
+ * @param collector {ModulesCollector}
+ * @param log {function(string)} writer of progress messages
  * @constructor
  */
-function Bundle(config, modules) {
+function Bundle(config, collector, log) {
     var self = this;
-    
+
     /**
      * @type {BundlerConfig}
      */
@@ -31,34 +50,448 @@ function Bundle(config, modules) {
     /**
      * @type {ModulesStructure}
      */
-    this.modules = modules;
+    this.modules = collector.modules;
+
+    /**
+     * Problems of the last templates collection
+     * @type {Diagnostic[]}
+     */
+    var templatesProblems = [];
+
+    /**
+     * @type {TemplatesFile[]}
+     */
+    var templatesFiles = collectTemplates();
+
+    /**
+     * Problems of imports rendered by the last writeImports or checkImports call
+     * @type {Diagnostic[]}
+     */
+    var importsProblems = [];
+
+    /**
+     * Modification time and size of every partial by path, to notice partials changes between updates
+     * @type {Object<string, string>}
+     */
+    var partialsStamps = stampPartials(templatesFiles);
+
+    /**
+     * Modules of installed packages, scanned once since packages are not expected to change while bundler runs
+     * @type {ModulesStructure}
+     */
+    var vendorModules = config.vendor ? modulesBuilder.buildVendorModules(vendorScanner.listVendorFiles(config.vendor)) : {};
+    modulesBuilder.addVendorModules(self.modules, vendorModules);
+
+    /**
+     * @type {?AssetsHasher}
+     */
+    var hasher = config.hash ? new assetsHasher.AssetsHasher(config.hash) : null;
+
+    /**
+     * Re-analyse added and changed js files and rebuild modules structure, re-collect partials of modules
+     * @returns {FilesChanges} changed js files and partials
+     */
+    this.update = function() {
+        var changes = collector.update();
+
+        if (changes.count() > 0) {
+            self.modules = collector.modules;
+            templatesFiles = collectTemplates();
+            modulesBuilder.addVendorModules(self.modules, vendorModules);
+        } else if (self.config.templates) {
+            // partials may be added to scanned directories or changed without any js file change
+            templatesFiles = collectTemplates();
+        }
+
+        var stamps = stampPartials(templatesFiles);
+
+        Object.keys(stamps).forEach(function(partialPath) {
+            if (!partialsStamps.hasOwnProperty(partialPath)) {
+                changes.added.push(partialPath);
+            } else if (partialsStamps[partialPath] !== stamps[partialPath]) {
+                changes.changed.push(partialPath);
+            }
+        });
+        Object.keys(partialsStamps).forEach(function(partialPath) {
+            if (!stamps.hasOwnProperty(partialPath)) {
+                changes.removed.push(partialPath);
+            }
+        });
+
+        partialsStamps = stamps;
+
+        return changes;
+    };
+
+    /**
+     * Rewrite implicitly annotated providers in js files to inline array annotation and re-analyse them
+     * @returns {string[]} rewritten files
+     */
+    this.fixAnnotations = function() {
+        var fixed = collector.annotate();
+
+        if (fixed.length > 0) {
+            self.update();
+        }
 
-    this.writeImports = function() {
-        self.config.html.forEach(function(htmlFilePath) {
-            importsWriter.writeImports(htmlFilePath, self.modules, self.config.static);
+        return fixed;
+    };
+
+    /**
+     * @param bundle {boolean=} write modules files into bundles according to 'bundle' part of config and import bundles
+     * @param htmlFiles {string[]=} html files to write imports to, all config's html files by default
+     * @returns {string[]} html files whose content changed, templates, bundles, hashed copies and manifests are written
+     * anyway
+     */
+    this.writeImports = function(bundle, htmlFiles) {
+        if (bundle && !self.config.bundle) {
+            throw Error("'bundle' part of config is missing");
+        }
+
+        templatesBuilder.writeTemplates(templatesFiles);
+
+        var options = buildImportsOptions(bundle);
+        var updated = [];
+
+        (htmlFiles || self.config.html).forEach(function(htmlFilePath) {
+            if (importsWriter.writeImports(htmlFilePath, self.modules, self.config.static, options)) {
+                updated.push(htmlFilePath);
+            }
+
+            if (self.config.lazy) {
+                lazyManifest.writeManifest(importsWriter.readAppName(htmlFilePath, self.modules),
+                                           self.modules,
+                                           self.config.lazy,
+                                           options.bundle,
+                                           hasher ? hasher.hashUrl : null,
+                                           log);
+            }
         });
+
+        if (hasher) {
+            hasher.writeManifest();
+        }
+
+        return updated;
     };
 
     /**
+     * Render imports of html files in memory and compare them with files on disk. Nothing is written - templates, bundles
+     * and hashed copies are built in memory, since imports of them depend on their content.
+     * @param bundle {boolean=} import bundles according to 'bundle' part of config
+     * @param htmlFiles {string[]=} html files to check, all config's html files by default
+     * @returns {ImportsDiff[]} diffs of html files whose imports are out of date
+     */
+    this.checkImports = function(bundle, htmlFiles) {
+        if (bundle && !self.config.bundle) {
+            throw Error("'bundle' part of config is missing");
+        }
+
+        var options = buildImportsOptions(bundle, true);
+
+        return (htmlFiles || self.config.html).reduce(function(prev, htmlFilePath) {
+            var current = fs.readFileSync(htmlFilePath) + '';
+            var rendered = importsWriter.renderImports(htmlFilePath, self.modules, self.config.static, options);
+
+            if (rendered !== current) {
+                var importsDiff = new ImportsDiff();
+                importsDiff.file = htmlFilePath;
+                importsDiff.diff = textDiff.createUnifiedDiff(current, rendered, 'a/' + htmlFilePath, 'b/' + htmlFilePath);
+                prev.push(importsDiff);
+            }
+
+            return prev;
+        }, []);
+    };
+
+    /**
+     * @param htmlFilePath {string}
+     * @returns {string[]} module files imported by given html file in import order
+     */
+    this.listImports = function(htmlFilePath) {
+        return importsWriter.listImports(htmlFilePath, self.modules);
+    };
+
+    /**
+     * @param withInjectionCycles {boolean=} draw providers injection cycles
      * @returns {string}
      */
-    this.buildDOTDiagram = function() {
-        return modulesBuilder.buildDOTDiagram(self.modules);
+    this.buildDOTDiagram = function(withInjectionCycles) {
+        return modulesBuilder.buildDOTDiagram(self.modules, withInjectionCycles ? self.findInjectionCycles() : null);
     };
 
     /**
-     * @returns {string[]}
+     * Cross-module injects, injection phases of config and run blocks and, if modules have no circular references,
+     * decorated services of html files apps
+     * @returns {Diagnostic[]}
      */
     this.validateInjects = function() {
-        return modulesBuilder.validateInjects(self.modules);
+        var found = modulesBuilder.validateInjects(self.modules, self.config.injects)
+            .concat(modulesBuilder.validateInjectionPhases(self.modules));
+
+        if (self.findCircularReferences().length === 0) {
+            var appNames = self.config.html.map(function(htmlFilePath) {
+                return importsWriter.readAppName(htmlFilePath, self.modules);
+            });
+
+            found = found.concat(modulesBuilder.validateDecorators(self.modules, appNames, self.config.injects));
+        }
+
+        return found;
+    };
+
+    /**
+     * Validate directives, components and filters used by config's html files against their ng-app modules and by
+     * partials against modules they belong to. Partials are known only if 'templates' part of config is present.
+     * @returns {Diagnostic[]}
+     */
+    this.validateTemplates = function() {
+        var sources = self.config.html.map(function(htmlFilePath) {
+            return {
+                path: htmlFilePath,
+                module: importsWriter.readAppName(htmlFilePath, self.modules)
+            };
+        });
+
+        templatesFiles.forEach(function(templatesFile) {
+            Object.keys(templatesFile.templates).forEach(function(url) {
+                sources.push({
+                    path: templatesFile.templates[url],
+                    module: templatesFile.module
+                });
+            });
+        });
+
+        return templatesValidator.validateTemplates(self.modules, sources);
+    };
+
+    /**
+     * @returns {string[][]} module names trails of every circular reference
+     */
+    this.findCircularReferences = function() {
+        return modulesBuilder.findCircularReferences(self.modules);
+    };
+
+    /**
+     * @param format {FORMATS} one of graphExport.FORMATS
+     * @param options {GraphOptions=}
+     * @returns {string}
+     */
+    this.exportGraph = function(format, options) {
+        return graphExport.exportGraph(self.modules, format, options);
+    };
+
+    /**
+     * @returns {InjectionCycle[]}
+     */
+    this.findInjectionCycles = function() {
+        return modulesBuilder.findInjectionCycles(self.modules);
+    };
+
+    /**
+     * All problems of analysed files, modules structure, templates and imports rendered so far, with severities set
+     * according to 'rules' part of config
+     * @param validateInjects {boolean=} include injects validation problems
+     * @param validateTemplates {boolean=} include templates validation problems
+     * @returns {Diagnostic[]}
+     */
+    this.getDiagnostics = function(validateInjects, validateTemplates) {
+        var found = collector.diagnostics.concat(templatesProblems, importsProblems);
+
+        self.findCircularReferences().forEach(function(circular) {
+            var declaration = self.modules[circular[0]].declarations[0];
+
+            found.push(diagnostics.createDiagnostic('circular-dependency', "Found circular reference: " + circular.join(' -> '), {
+                module: circular[0],
+                file: declaration && declaration.file,
+                line: declaration && declaration.line
+            }));
+        });
+
+        self.findInjectionCycles().forEach(function(cycle) {
+            var first = cycle.chain[0];
+            var chain = cycle.chain.map(function(entry) { return entry.name }).join(' -> ');
+            var locations = cycle.chain.slice(0, -1).map(function(entry) {
+                return entry.name + ' in ' + entry.file + ':' + entry.line;
+            }).join(', ');
+
+            found.push(diagnostics.createDiagnostic('circular-injection', "Found circular injection: " + chain + " (" + locations + ")", {
+                module: first.module,
+                provider: first.name,
+                file: first.file,
+                line: first.line
+            }));
+        });
+
+        if (validateInjects) {
+            found = found.concat(self.validateInjects());
+        }
+
+        if (self.config.vendor) {
+            found = found.concat(modulesBuilder.findUnresolvedModules(self.modules));
+        }
+
+        if (self.config.lint) {
+            found = found.concat(lintRules.runRules(self.modules, self.config.lint));
+        }
+
+        if (self.findCircularReferences().length === 0) {
+            found = found.concat(modulesBuilder.findProviderCollisions(self.modules, self.getEntryPoints()));
+        }
+
+        if (validateTemplates && self.findCircularReferences().length === 0) {
+            found = found.concat(self.validateTemplates());
+        }
+
+        if (self.config.lazy && self.findCircularReferences().length === 0) {
+            self.config.html.forEach(function(htmlFilePath) {
+                found = found.concat(lazyManifest.checkLazyChunks(importsWriter.readAppName(htmlFilePath, self.modules),
+                                                                  self.modules,
+                                                                  self.config.lazy));
+            });
+        }
+
+        if (self.config.budgets && self.findCircularReferences().length === 0) {
+            found = found.concat(sizeReport.checkBudgets(self.buildSizeReport(), self.config.budgets, self.modules));
+        }
+
+        return diagnostics.applyRules(found, self.config.rules);
+    };
+
+    /**
+     * @returns {string[]} ng-app modules of all config's html files and lazy loaded modules
+     */
+    this.getEntryPoints = function() {
+        var apps = self.config.html.map(function(htmlFilePath) {
+            return importsWriter.readAppName(htmlFilePath, self.modules);
+        });
+
+        return apps.concat(self.config.lazy ? self.config.lazy.modules : []).filter(function(name, index, array) {
+            return array.indexOf(name) === index;
+        });
+    };
+
+    /**
+     * @param moduleName {string}
+     * @param appName {string} ng-app module
+     * @returns {WhyResult} every dependency path from given app to given module
+     */
+    this.findDependencyPaths = function(moduleName, appName) {
+        return dependencyQueries.findDependencyPaths(self.modules, appName, moduleName);
+    };
+
+    /**
+     * @param moduleName {string}
+     * @returns {DepsResult} transitive dependencies of given module with their sizes
+     */
+    this.listDependencies = function(moduleName) {
+        return dependencyQueries.listDependencies(self.modules, moduleName);
+    };
+
+    /**
+     * @param moduleName {string}
+     * @returns {RdepsResult} modules and config's html files depending on given module
+     */
+    this.listDependents = function(moduleName) {
+        return dependencyQueries.listDependents(self.modules, moduleName, readAppNames());
+    };
+
+    /**
+     * @returns {SizeReport} exact and gzip sizes of every module and of every html file app with static imports
+     */
+    this.buildSizeReport = function() {
+        return sizeReport.buildSizeReport(self.modules, readAppNames(), importsWriter.listStaticFiles(self.config.static));
+    };
+
+    /**
+     * @param savedModules {ModulesStructure} modules structure previously saved to .modules.json
+     * @returns {SizeComparison}
+     */
+    this.compareSizes = function(savedModules) {
+        return sizeReport.compareSizes(self.modules, savedModules);
+    };
+
+    /**
+     * @returns {DeadCodeReport}
+     */
+    this.buildDeadCodeReport = function() {
+        return deadCodeReport.buildDeadCodeReport(self.modules, self.getEntryPoints());
     };
 
     /**
-     * @returns {string[]}
+     * @returns {Object<string, string>} ng-app module names by config's html files
      */
-    this.findCircularReference = function() {
-        return modulesBuilder.findCircularReference(self.modules);
+    function readAppNames() {
+        return self.config.html.reduce(function(prev, htmlFilePath) {
+            prev[htmlFilePath] = importsWriter.readAppName(htmlFilePath, self.modules);
+            return prev;
+        }, {});
     }
+
+    /**
+     * @param bundle {boolean=}
+     * @param dryRun {boolean=} render imports without writing templates, bundles and hashed copies
+     * @returns {ImportsOptions}
+     */
+    function buildImportsOptions(bundle, dryRun) {
+        importsProblems = [];
+
+        return {
+            bundle: bundle ? self.config.bundle : null,
+            assetMapper: hasher ? (dryRun ? hasher.previewAsset : hasher.hashAsset) : null,
+            dryRun: dryRun,
+            contents: dryRun ? templatesBuilder.buildTemplates(templatesFiles) : {},
+            attributes: self.config.attributes,
+            problems: importsProblems,
+            log: log
+        };
+    }
+
+    /**
+     * Register generated $templateCache files in modules according to 'templates' part of config
+     * @returns {TemplatesFile[]}
+     */
+    function collectTemplates() {
+        templatesProblems = [];
+
+        if (!self.config.templates) {
+            return [];
+        }
+
+        return templatesBuilder.collectTemplates(self.modules, self.config.templates, self.config.html, templatesProblems);
+    }
+
+    /**
+     * @param templatesFiles {TemplatesFile[]}
+     * @returns {Object<string, string>} modification time and size of every partial by path
+     */
+    function stampPartials(templatesFiles) {
+        return templatesFiles.reduce(function(prev, templatesFile) {
+            Object.keys(templatesFile.templates).forEach(function(url) {
+                var partialPath = templatesFile.templates[url];
+
+                if (fs.existsSync(partialPath)) {
+                    var stat = fs.statSync(partialPath);
+                    prev[partialPath] = stat.mtime.getTime() + ':' + stat.size;
+                }
+            });
+
+            return prev;
+        }, {});
+    }
+}
+
+function ImportsDiff() {
+    /**
+     * @type {string}
+     */
+    this.file = null;
+
+    /**
+     * Unified diff of file on disk and file with rendered imports
+     * @type {string}
+     */
+    this.diff = null;
 }
 
 /**
@@ -81,6 +514,121 @@ function validateConfig(config) {
         throw Error("Wrong 'html' format - array expected");
     }
 
+    if (config.bundle) {
+        if (!config.bundle.dir) {
+            throw Error("Bundles directory path is missing in 'bundle' part of config");
+        }
+        if (!config.bundle.url) {
+            throw Error("Bundles url is missing in 'bundle' part of config");
+        }
+        if (config.bundle.split && ['app', 'module'].indexOf(config.bundle.split) < 0) {
+            throw Error("Wrong bundle split '" + config.bundle.split + "' - 'app' or 'module' expected");
+        }
+    }
+
+    if (config.templates) {
+        if (!config.templates.dir) {
+            throw Error("Templates directory path is missing in 'templates' part of config");
+        }
+        if (!config.templates.url) {
+            throw Error("Templates url is missing in 'templates' part of config");
+        }
+        if (config.templates.mapping && Object.keys(config.templates.mapping).length !== 1) {
+            throw Error("Wrong templates path mapping in 'templates' part of config - expected object with 1 field");
+        }
+    }
+
+    if (config.lazy) {
+        if (!util.isArray(config.lazy.modules)) {
+            throw Error("Wrong lazy modules format in 'lazy' part of config - array expected");
+        }
+        if (!config.lazy.manifest) {
+            throw Error("Manifest path is missing in 'lazy' part of config");
+        }
+    }
+
+    if (config.hash) {
+        if (['query', 'filename'].indexOf(config.hash.mode) < 0) {
+            throw Error("Wrong hash mode '" + config.hash.mode + "' - 'query' or 'filename' expected");
+        }
+        if (config.hash.mode === 'filename' && (!config.hash.dir || !config.hash.url)) {
+            throw Error("Hashed files directory path and url are required for 'filename' hash mode");
+        }
+    }
+
+    if (config.attributes) {
+        var attributesList = [config.attributes.default];
+        ['static', 'modules'].forEach(function(kind) {
+            Object.keys(config.attributes[kind] || {}).forEach(function(name) {
+                attributesList.push(config.attributes[kind][name]);
+            });
+        });
+
+        attributesList.forEach(function(attributes) {
+            var integrity = attributes && attributes.integrity;
+            if (integrity && integrity !== true && ['sha256', 'sha384', 'sha512'].indexOf(integrity) < 0) {
+                throw Error("Wrong integrity algorithm '" + integrity + "' - 'sha256', 'sha384' or 'sha512' expected");
+            }
+        });
+    }
+
+    if (config.injects) {
+        if (config.injects.whitelist && !util.isArray(config.injects.whitelist)) {
+            throw Error("Wrong injects whitelist format - array expected");
+        }
+        if (config.injects.vendor && !(config.injects.vendor instanceof Object)) {
+            throw Error("Wrong vendor injects format - object with names arrays by module names expected");
+        }
+    }
+
+    if (config.budgets) {
+        ['apps', 'modules'].forEach(function(kind) {
+            Object.keys(config.budgets[kind] || {}).forEach(function(name) {
+                var budget = config.budgets[kind][name];
+
+                ['bytes', 'gzip'].forEach(function(key) {
+                    if (budget[key] !== undefined && !(typeof budget[key] === 'number' && budget[key] > 0)) {
+                        throw Error("Wrong " + key + " budget of " + name + " - positive number of bytes expected");
+                    }
+                });
+            });
+        });
+    }
+
+    var knownLintRules = lintRules.loadRules(config.lint);
+
+    if (config.lint) {
+        Object.keys(config.lint.rules || {}).forEach(function(name) {
+            if (!knownLintRules.hasOwnProperty(name)) {
+                throw Error("Unknown lint rule '" + name + "' in 'lint' part of config");
+            }
+        });
+    }
+
+    if (config.rules) {
+        Object.keys(config.rules).forEach(function(code) {
+            if (!diagnostics.RULES.hasOwnProperty(code) && !knownLintRules.hasOwnProperty(code)) {
+                throw Error("Unknown rule '" + code + "' in 'rules' part of config");
+            }
+            if (!diagnostics.SEVERITY.hasOwnProperty(config.rules[code])) {
+                throw Error("Wrong severity '" + config.rules[code] + "' of rule '" + code + "' - 'error', 'warn' or 'off' expected");
+            }
+        });
+    }
+
+    if (config.vendor) {
+        if (config.vendor.dirs && !Array.isArray(config.vendor.dirs)) {
+            throw Error("Wrong vendor directories format - array expected");
+        }
+        if (config.vendor.mapping && !(config.vendor.mapping instanceof Object)) {
+            throw Error("Wrong vendor mapping format - object with url prefixes by directories expected");
+        }
+    }
+
+    if (config.cache !== undefined && !(typeof config.cache === 'string' && config.cache)) {
+        throw Error("Wrong cache file path - string expected");
+    }
+
     config.js.forEach(function(jsConfig, index) {
         if (!jsConfig) {
             throw Error("Empty js config");
@@ -96,9 +644,10 @@ function validateConfig(config) {
 
 /**
  * @param config {BundlerConfig}
- * @returns {ModulesStructure}
+ * @param log {function(string)}
+ * @returns {ModulesCollector}
  */
-function buildModules(config) {
+function createModulesCollector(config, log) {
     var directories = config.js.map(function(jsConfig) {
         return jsConfig.dir
     });
@@ -122,7 +671,9 @@ function buildModules(config) {
         }
     };
 
-    return modulesBuilder.buildModulesStructure(directories, filenameMapper);
+    var cache = config.cache ? new analysisCache.AnalysisCache(config.cache, config) : null;
+
+    return new modulesBuilder.ModulesCollector(directories, filenameMapper, cache, log);
 }
 
 /**
@@ -130,6 +681,17 @@ function buildModules(config) {
  * @property {Array<JsConfig>} js
  * @property {Array<string>} html
  * @property {StaticImportConfig | Object<string, StaticImportConfig>} static
+ * @property {BundleConfig=} bundle
+ * @property {TemplatesConfig=} templates
+ * @property {LazyConfig=} lazy
+ * @property {HashConfig=} hash
+ * @property {AttributesConfig=} attributes
+ * @property {InjectsConfig=} injects
+ * @property {BudgetsConfig=} budgets
+ * @property {VendorConfig=} vendor scan installed packages for modules the app depends on
+ * @property {LintConfig=} lint
+ * @property {Object<string, SEVERITY>=} rules severity of diagnostics by code, overrides diagnostics.RULES and lint rules defaults
+ * @property {string=} cache file to keep js files analysis between runs, only changed files are analysed again
  * @property {boolean} validateProviderConstructor
  * @property {boolean} strictDependenciesMode
  */
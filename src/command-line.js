@@ -3,28 +3,91 @@
 var fs = require("fs");
 var util = require("util");
 var bundler = require('./bundler');
+var watcher = require('./watcher');
+var deadCodeReport = require('./deadCodeReport');
+var diagnostics = require('./diagnostics');
+var graphExport = require('./graphExport');
+var dependencyQueries = require('./dependencyQueries');
+var sizeReport = require('./sizeReport');
+
+/**
+ * Query subcommands, given before module name and config path
+ * @enum {string}
+ */
+var QUERIES = {
+    why: 'why',
+    deps: 'deps',
+    rdeps: 'rdeps'
+};
+
+/**
+ * File extensions of exported graphs by format
+ * @type {Object<string, string>}
+ */
+var GRAPH_EXTENSIONS = {
+    mermaid: '.mmd',
+    graphml: '.graphml',
+    json: '.graph.json',
+    html: '.graph.html'
+};
 
 /**
  * @enum {string}
  */
 var OPTIONS = {
     noWrite: 'no-write',
+    check: 'check',
+    bundle: 'bundle',
     validateInjects: 'validate-injects',
+    validateTemplates: 'validate-templates',
+    fixAnnotations: 'fix-annotations',
     makeJson: 'make-json',
-    makeDot: 'make-dot'
+    makeDot: 'make-dot',
+    dotInjectionCycles: 'dot-injection-cycles',
+    makeGraph: 'make-graph',
+    graphGroupByDirectory: 'graph-group-by-directory',
+    graphExternal: 'graph-external',
+    graphApp: 'graph-app',
+    makeDeadCodeReport: 'make-dead-code-report',
+    makeSizeReport: 'make-size-report',
+    compareSizes: 'compare-sizes',
+    watch: 'watch',
+    watchInterval: 'watch-interval',
+    format: 'format',
+    output: 'output',
+    app: 'app'
 };
 
 var argv = require('yargs')
-    .usage('Usage: $0 [options] <config>')
-    .demand(1, 1, "Single config file path required")
+    .usage('Usage: $0 [options] <config>\n' +
+           '       $0 why <module> --app <ng-app> <config>   print every dependency path from app to module\n' +
+           '       $0 deps <module> <config>                 print transitive dependencies of module with their sizes\n' +
+           '       $0 rdeps <module> <config>                print modules and html files depending on module')
+    .demand(1, 3, "Single config file path required")
     .option(OPTIONS.noWrite, {
         describe: "load and validate modules structure, do not write import tags into html",
         boolean: true
     })
+    .option(OPTIONS.check, {
+        describe: "do not write html files, print diff of html files whose imports are out of date and exit with 1 if there are any",
+        boolean: true
+    })
+    .option(OPTIONS.bundle, {
+        describe: "write modules into concatenated bundles according to 'bundle' part of config and import bundles instead of separate files",
+        boolean: true
+    })
     .option(OPTIONS.validateInjects, {
         describe: "validate providers/services/etc. injects - provider's module must include modules of all injected providers",
         boolean: true
     })
+    .option(OPTIONS.validateTemplates, {
+        describe: "validate directives, components and filters used by html files and partials - they must be provided by modules the html file or partial depends on",
+        boolean: true
+    })
+    .option(OPTIONS.fixAnnotations, {
+        describe: "rewrite implicitly annotated providers in js files to inline array annotation before validation",
+        boolean: true
+    })
     .option(OPTIONS.makeJson, {
         describe: "write .json file with modules structure",
         boolean: true
@@ -33,50 +96,231 @@ var argv = require('yargs')
         describe: "write .dot file with modules structure diagram",
         boolean: true
     })
+    .option(OPTIONS.dotInjectionCycles, {
+        describe: "draw providers injection cycles in .dot file",
+        boolean: true
+    })
+    .option(OPTIONS.makeGraph, {
+        describe: "write modules graph in given formats: Mermaid, GraphML, JSON nodes/edges model or standalone html explorer",
+        array: true,
+        choices: Object.keys(graphExport.FORMATS)
+    })
+    .option(OPTIONS.graphGroupByDirectory, {
+        describe: "group modules of exported graph by directory of their declaring file",
+        boolean: true
+    })
+    .option(OPTIONS.graphExternal, {
+        describe: "show modules missing from js directories as external nodes of exported graph",
+        boolean: true
+    })
+    .option(OPTIONS.graphApp, {
+        describe: "limit exported graph to dependencies of given ng-app module",
+        string: true
+    })
+    .option(OPTIONS.makeDeadCodeReport, {
+        describe: "write report of modules unreachable from html files, their files and never injected providers",
+        choices: ['text', 'json']
+    })
+    .option(OPTIONS.makeSizeReport, {
+        describe: "write report of exact and gzip sizes of modules and html files apps including static imports",
+        choices: ['text', 'json']
+    })
+    .option(OPTIONS.compareSizes, {
+        describe: "print modules size changes against given previously saved .modules.json",
+        string: true
+    })
+    .option(OPTIONS.watch, {
+        describe: "keep running, re-analyse added, changed and deleted js files and rewrite imports of affected html files",
+        boolean: true
+    })
+    .option(OPTIONS.watchInterval, {
+        describe: "milliseconds between js directories scans in watch mode",
+        number: true,
+        default: 1000
+    })
+    .option(OPTIONS.app, {
+        describe: "ng-app module of 'why' query",
+        string: true
+    })
+    .option(OPTIONS.format, {
+        describe: "diagnostics and queries output format, exit code is 1 if any of diagnostics has error severity",
+        choices: diagnostics.FORMATS,
+        default: 'text'
+    })
+    .option(OPTIONS.output, {
+        describe: "write diagnostics to given file instead of console",
+        string: true
+    })
     .argv;
 
 
-var configPath = argv._[0];
+var query = QUERIES.hasOwnProperty(argv._[0]) ? argv._[0] : null;
+if (query && argv._.length !== 3) {
+    throw Error("Module name and config file path required by '" + query + "' query");
+}
+if (!query && argv._.length !== 1) {
+    throw Error("Single config file path required");
+}
+if (query === QUERIES.why && !argv[OPTIONS.app]) {
+    throw Error("ng-app module of 'why' query is missing, use --app option");
+}
+
+var configPath = query ? argv._[2] : argv._[0];
 if (!configPath || !fs.existsSync(configPath)) {
     throw Error("Config file not found");
 }
 
-var bundle = bundler(JSON.parse(fs.readFileSync(configPath)));
-console.log("Collected " +
-            Object.keys(bundle.modules).length +
-            " modules with total size " +
-            Object.keys(bundle.modules).reduce(function(prev, m) { return prev + bundle.modules[m].size }, 0) +
-            "KB");
+// keep stdout for machine readable diagnostics only
+var log = argv[OPTIONS.format] !== 'text' && !argv[OPTIONS.output] ? console.error : console.log;
 
-var injectsErrors = argv[OPTIONS.validateInjects] ? bundle.validateInjects() : [];
-var circular = bundle.findCircularReference();
-
-if (argv[OPTIONS.noWrite]) {
-    if (circular) {
-        throw Error("Found circular reference: " + circular.join(' -> '));
-    }
-    if (injectsErrors.length > 0) {
-        throw Error(injectsErrors[0]);
-    }
+var bundle = bundler(JSON.parse(fs.readFileSync(configPath)), log);
 
+if (query) {
+    printQueryResult(query, String(argv._[1]));
     return;
-} else {
-    if (circular) {
-        console.warn("Found circular reference: " + circular.join(' -> '));
+}
+
+if (argv[OPTIONS.fixAnnotations]) {
+    bundle.fixAnnotations().forEach(function(filename) {
+        log("Annotated implicit injects in " + filename);
+    });
+}
+
+log("Collected " +
+    Object.keys(bundle.modules).length +
+    " modules with total size " +
+    Object.keys(bundle.modules).reduce(function(prev, m) { return prev + bundle.modules[m].size }, 0) +
+    "KB");
+
+var outdated = [];
+
+if (argv[OPTIONS.check]) {
+    if (bundle.findCircularReferences().length > 0) {
+        console.error("Imports are not checked - modules have circular reference");
+    } else {
+        outdated = bundle.checkImports(argv[OPTIONS.bundle]);
+        outdated.forEach(function(importsDiff) {
+            log(importsDiff.diff.replace(/\n$/, ''));
+        });
+        log(outdated.length > 0 ?
+            "Imports of " + outdated.length + " html files are out of date" :
+            "Imports of all html files are up to date");
     }
-    if (injectsErrors.length > 0) {
-        injectsErrors.forEach(console.warn);
+} else if (!argv[OPTIONS.noWrite]) {
+    if (bundle.findCircularReferences().length > 0) {
+        console.error("Imports are not written - modules have circular reference");
+    } else {
+        bundle.writeImports(argv[OPTIONS.bundle]);
     }
-
-    bundle.writeImports();
 }
 
+// collected after imports are rendered, since rendering reports problems too
+var found = bundle.getDiagnostics(argv[OPTIONS.validateInjects], argv[OPTIONS.validateTemplates]);
+printDiagnostics(found);
+
 var configName = configPath.replace(/\.json/, '');
 
+if (argv[OPTIONS.compareSizes]) {
+    var savedModules = JSON.parse(fs.readFileSync(argv[OPTIONS.compareSizes]));
+    log(sizeReport.printSizeComparison(bundle.compareSizes(savedModules)));
+}
+
 if (argv[OPTIONS.makeJson]) {
     fs.writeFileSync(configName + '.modules.json', JSON.stringify(bundle.modules));
 }
 
 if (argv[OPTIONS.makeDot]) {
-    fs.writeFileSync(configName + '.dot', bundle.buildDOTDiagram());
+    fs.writeFileSync(configName + '.dot', bundle.buildDOTDiagram(argv[OPTIONS.dotInjectionCycles]));
+}
+
+(argv[OPTIONS.makeGraph] || []).forEach(function(format) {
+    fs.writeFileSync(configName + GRAPH_EXTENSIONS[format], bundle.exportGraph(format, {
+        groupByDirectory: argv[OPTIONS.graphGroupByDirectory],
+        external: argv[OPTIONS.graphExternal],
+        app: argv[OPTIONS.graphApp]
+    }));
+});
+
+if (argv[OPTIONS.makeDeadCodeReport]) {
+    var report = bundle.buildDeadCodeReport();
+
+    if (argv[OPTIONS.makeDeadCodeReport] === 'json') {
+        fs.writeFileSync(configName + '.dead-code.json', JSON.stringify(report, null, 2));
+    } else {
+        fs.writeFileSync(configName + '.dead-code.txt', deadCodeReport.printDeadCodeReport(report));
+    }
+}
+
+if (argv[OPTIONS.makeSizeReport]) {
+    var sizes = bundle.buildSizeReport();
+
+    if (argv[OPTIONS.makeSizeReport] === 'json') {
+        fs.writeFileSync(configName + '.sizes.json', JSON.stringify(sizes, null, 2));
+    } else {
+        fs.writeFileSync(configName + '.sizes.txt', sizeReport.printSizeReport(sizes));
+    }
+}
+
+if (argv[OPTIONS.watch]) {
+    watcher.watch(bundle, {
+        interval: argv[OPTIONS.watchInterval],
+        write: !argv[OPTIONS.noWrite] && !argv[OPTIONS.check],
+        bundle: argv[OPTIONS.bundle],
+        validateInjects: argv[OPTIONS.validateInjects],
+        validateTemplates: argv[OPTIONS.validateTemplates],
+        log: log
+    });
+} else {
+    process.exitCode = outdated.length > 0 ? 1 : diagnostics.getExitCode(found);
+}
+
+/**
+ * @param query {QUERIES}
+ * @param moduleName {string}
+ */
+function printQueryResult(query, moduleName) {
+    var result;
+    var print;
+
+    switch (query) {
+        case QUERIES.why:
+            result = bundle.findDependencyPaths(moduleName, argv[OPTIONS.app]);
+            print = dependencyQueries.printDependencyPaths;
+            break;
+        case QUERIES.deps:
+            result = bundle.listDependencies(moduleName);
+            print = dependencyQueries.printDependencies;
+            break;
+        case QUERIES.rdeps:
+            result = bundle.listDependents(moduleName);
+            print = dependencyQueries.printDependents;
+            break;
+    }
+
+    switch (argv[OPTIONS.format]) {
+        case 'text':
+            process.stdout.write(print(result));
+            break;
+        case 'json':
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+            break;
+        default:
+            throw Error("Queries output format may be 'text' or 'json' only");
+    }
+}
+
+/**
+ * @param found {Diagnostic[]}
+ */
+function printDiagnostics(found) {
+    if (argv[OPTIONS.output]) {
+        fs.writeFileSync(argv[OPTIONS.output], diagnostics.formatDiagnostics(found, argv[OPTIONS.format]));
+    } else if (argv[OPTIONS.format] !== 'text') {
+        process.stdout.write(diagnostics.formatDiagnostics(found, argv[OPTIONS.format]) + '\n');
+    } else {
+        found.forEach(function(diagnostic) {
+            var print = diagnostic.severity === diagnostics.SEVERITY.error ? console.error : console.warn;
+            print(diagnostics.formatDiagnostic(diagnostic));
+        });
+    }
 }
\ No newline at end of file
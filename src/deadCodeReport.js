@@ -0,0 +1,197 @@
+'use strict';
+
+var fs = require('fs');
+var modulesBuilder = require('./modulesBuilder');
+
+/**
+ * Recipes whose declarations are expected to be injected somewhere
+ * @type {string[]}
+ */
+var INJECTABLE_RECIPES = ['provider', 'factory', 'service', 'value', 'constant'];
+
+/**
+ * Find modules not reachable from any of given entry points, files which could be deleted with them and providers
+ * which are never injected
+ * @param modules {ModulesStructure}
+ * @param entryPoints {string[]} ng-app and lazy loaded module names
+ * @returns {DeadCodeReport}
+ */
+module.exports.buildDeadCodeReport = function(modules, entryPoints) {
+    var report = new DeadCodeReport();
+    report.entryPoints = entryPoints;
+
+    var reachable = entryPoints.reduce(function(prev, moduleName) {
+        modulesBuilder.resolveDependencies(moduleName, modules).forEach(function(depName) {
+            prev[depName] = true;
+        });
+
+        return prev;
+    }, {});
+
+    report.orphanModules = Object.keys(modules).filter(function(moduleName) {
+        return !reachable[moduleName] && !modules[moduleName].vendor;
+    }).sort();
+
+    var reachableFiles = Object.keys(reachable).reduce(function(prev, moduleName) {
+        modules[moduleName].files.forEach(function(file) {
+            prev[file] = true;
+        });
+
+        return prev;
+    }, {});
+    var reported = {};
+
+    report.orphanModules.forEach(function(moduleName) {
+        var module = modules[moduleName];
+
+        module.files.forEach(function(file) {
+            var filePath = module.sources[file];
+
+            if (reachableFiles[file] || reported[filePath]) {
+                return;
+            }
+            reported[filePath] = true;
+
+            var orphan = new OrphanFile();
+            orphan.path = filePath;
+            orphan.bytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+            report.files.push(orphan);
+        });
+    });
+
+    report.size = Math.ceil(report.files.reduce(function(prev, orphan) {
+        return prev + orphan.bytes;
+    }, 0) / 1024.0);
+
+    var injected = {};
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].providers.forEach(function(provider) {
+            provider.injects.concat(provider.controllerInjects).forEach(function(inject) {
+                injected[inject.replace(/Provider$/, '')] = true;
+            });
+        });
+
+        modules[moduleName].blocks.forEach(function(block) {
+            block.injects.forEach(function(inject) {
+                injected[inject.replace(/Provider$/, '')] = true;
+            });
+        });
+    });
+
+    Object.keys(modules).forEach(function(moduleName) {
+        if (modules[moduleName].vendor) {
+            return;
+        }
+
+        modules[moduleName].providers.forEach(function(provider) {
+            if (INJECTABLE_RECIPES.indexOf(provider.recipe) < 0 || injected[provider.name.replace(/Provider$/, '')]) {
+                return;
+            }
+
+            // provider recipe declares both xProvider and x, report it once
+            if (provider.recipe === 'provider' && /Provider$/.test(provider.name) &&
+                modules[moduleName].providers.some(function(p) { return p.name + 'Provider' === provider.name })) {
+                return;
+            }
+
+            var unused = new UnusedProvider();
+            unused.module = moduleName;
+            unused.name = provider.name;
+            unused.file = provider.file;
+            unused.line = provider.line;
+            report.unusedProviders.push(unused);
+        });
+    });
+
+    return report;
+};
+
+/**
+ * @param report {DeadCodeReport}
+ * @returns {string}
+ */
+module.exports.printDeadCodeReport = function(report) {
+    var lines = [];
+
+    lines.push("Entry points: " + report.entryPoints.join(', '));
+    lines.push('');
+    lines.push("Modules not reachable from any entry point (" + report.orphanModules.length + "):");
+    report.orphanModules.forEach(function(moduleName) {
+        lines.push("    " + moduleName);
+    });
+    lines.push('');
+    lines.push("Files which could be deleted (" + report.files.length + ", " + report.size + "KB):");
+    report.files.forEach(function(orphan) {
+        lines.push("    " + orphan.path + " (" + Math.ceil(orphan.bytes / 1024.0) + "KB)");
+    });
+    lines.push('');
+    lines.push("Providers never injected (" + report.unusedProviders.length + "):");
+    report.unusedProviders.forEach(function(unused) {
+        lines.push("    " + unused.name + " in module " + unused.module + " (" + unused.file + ":" + unused.line + ")");
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+function DeadCodeReport() {
+    /**
+     * @type {string[]}
+     */
+    this.entryPoints = [];
+
+    /**
+     * @type {string[]}
+     */
+    this.orphanModules = [];
+
+    /**
+     * Files of orphan modules not shared with reachable ones
+     * @type {OrphanFile[]}
+     */
+    this.files = [];
+
+    /**
+     * Total size of orphan files, KB
+     * @type {number}
+     */
+    this.size = 0;
+
+    /**
+     * @type {UnusedProvider[]}
+     */
+    this.unusedProviders = [];
+}
+
+function OrphanFile() {
+    /**
+     * @type {string}
+     */
+    this.path = null;
+
+    /**
+     * @type {number}
+     */
+    this.bytes = 0;
+}
+
+function UnusedProvider() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * @type {string}
+     */
+    this.name = null;
+
+    /**
+     * @type {string}
+     */
+    this.file = null;
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
\ No newline at end of file
@@ -0,0 +1,237 @@
+'use strict';
+
+exports.DependencyGraph = DependencyGraph;
+exports.findCycles = findCycles;
+
+/**
+ * Modules dependency graph analysed in a single pass: strongly connected components give every circular reference,
+ * import order of every module is built from import orders of its dependencies and remembered, so html files, lazy
+ * modules and reports resolving entry points with common dependencies share one sort. Dependencies on modules missing
+ * from structure are ignored.
+ * @param modules {ModulesStructure}
+ * @constructor
+ */
+function DependencyGraph(modules) {
+    var self = this;
+
+    /**
+     * @type {ModulesStructure}
+     */
+    this.modules = modules;
+
+    /**
+     * Module names trails of every cycle, one for each strongly connected component
+     * @type {string[][]}
+     */
+    this.cycles = findCycles(modules);
+
+    /**
+     * Import order of every module sorted so far by module name
+     * @type {Object<string, string[]>}
+     */
+    var sorted = {};
+
+    /**
+     * @param moduleName {string}
+     * @returns {string[]} given module and all its dependencies in import order
+     */
+    this.resolve = function(moduleName) {
+        if (self.cycles.length > 0) {
+            throw Error("Can not build dependency tree - found circular dependency: " + self.cycles[0].join(' -> '));
+        }
+
+        return sortDependencies(modules, moduleName, sorted).slice();
+    };
+}
+
+/**
+ * @param nodes {Object<string, {dependencies: string[]}>} modules structure or any graph of the same shape
+ * @returns {string[][]} names trails of every cycle, one for each strongly connected component
+ */
+function findCycles(nodes) {
+    return findComponents(nodes)
+        .filter(function(component) {
+            return component.length > 1 || nodes[component[0]].dependencies.indexOf(component[0]) >= 0;
+        })
+        .map(function(component) {
+            return findCycle(nodes, component);
+        });
+}
+
+/**
+ * Depth-first post-order of module's dependencies equals import orders of its dependencies concatenated without
+ * repeated modules, followed by the module itself, so every module is sorted once, after all its dependencies.
+ * Graph is expected to have no cycles.
+ * @param modules {ModulesStructure}
+ * @param moduleName {string}
+ * @param sorted {Object<string, string[]>} import orders sorted so far, sorted modules are added to it
+ * @returns {string[]} post-order of dependencies, equal to order of first occurrences in fully expanded dependency tree
+ */
+function sortDependencies(modules, moduleName, sorted) {
+    if (!modules[moduleName]) {
+        return [];
+    }
+
+    // explicit stack of [module, index of next dependency to visit], graph depth is not limited by call stack
+    var stack = sorted.hasOwnProperty(moduleName) ? [] : [[moduleName, 0]];
+
+    while (stack.length > 0) {
+        var top = stack[stack.length - 1];
+        var deps = modules[top[0]].dependencies;
+
+        if (top[1] < deps.length) {
+            var dep = deps[top[1]++];
+
+            if (modules[dep] && !sorted.hasOwnProperty(dep)) {
+                stack.push([dep, 0]);
+            }
+        } else {
+            sorted[top[0]] = mergeDependencies(top[0], deps, sorted);
+            stack.pop();
+        }
+    }
+
+    return sorted[moduleName];
+}
+
+/**
+ * @param moduleName {string}
+ * @param deps {string[]}
+ * @param sorted {Object<string, string[]>} import orders of all given dependencies present in structure
+ * @returns {string[]} import order of given module
+ */
+function mergeDependencies(moduleName, deps, sorted) {
+    var merged = [];
+    var seen = {};
+
+    deps.forEach(function(dep) {
+        (sorted[dep] || []).forEach(function(name) {
+            if (!seen[name]) {
+                seen[name] = true;
+                merged.push(name);
+            }
+        });
+    });
+    merged.push(moduleName);
+
+    return merged;
+}
+
+/**
+ * Tarjan's strongly connected components
+ * @param modules {ModulesStructure}
+ * @returns {string[][]} components, members are in modules structure order
+ */
+function findComponents(modules) {
+    var names = Object.keys(modules);
+    var order = names.reduce(function(prev, name, index) {
+        prev[name] = index;
+        return prev;
+    }, {});
+
+    var index = {};
+    var lowLink = {};
+    var onStack = {};
+    var componentStack = [];
+    var components = [];
+    var counter = 0;
+
+    names.forEach(function(root) {
+        if (index.hasOwnProperty(root)) {
+            return;
+        }
+
+        var stack = [[root, 0]];
+        visit(root);
+
+        while (stack.length > 0) {
+            var top = stack[stack.length - 1];
+            var name = top[0];
+            var deps = modules[name].dependencies;
+
+            if (top[1] < deps.length) {
+                var dep = deps[top[1]++];
+
+                if (!modules[dep]) {
+                    continue;
+                }
+
+                if (!index.hasOwnProperty(dep)) {
+                    visit(dep);
+                    stack.push([dep, 0]);
+                } else if (onStack[dep]) {
+                    lowLink[name] = Math.min(lowLink[name], index[dep]);
+                }
+            } else {
+                stack.pop();
+
+                if (stack.length > 0) {
+                    var parent = stack[stack.length - 1][0];
+                    lowLink[parent] = Math.min(lowLink[parent], lowLink[name]);
+                }
+
+                if (lowLink[name] === index[name]) {
+                    var component = [];
+                    var member;
+
+                    do {
+                        member = componentStack.pop();
+                        onStack[member] = false;
+                        component.push(member);
+                    } while (member !== name);
+
+                    components.push(component.sort(function(a, b) { return order[a] - order[b] }));
+                }
+            }
+        }
+    });
+
+    return components.sort(function(a, b) { return order[a[0]] - order[b[0]] });
+
+    function visit(name) {
+        index[name] = lowLink[name] = counter++;
+        componentStack.push(name);
+        onStack[name] = true;
+    }
+}
+
+/**
+ * Shortest cycle through the first member of given strongly connected component
+ * @param modules {ModulesStructure}
+ * @param component {string[]}
+ * @returns {string[]} module names trail starting and ending with the same module
+ */
+function findCycle(modules, component) {
+    var start = component[0];
+    var members = component.reduce(function(prev, member) {
+        prev[member] = true;
+        return prev;
+    }, {});
+    var previous = {};
+    var queue = [start];
+
+    while (queue.length > 0) {
+        var name = queue.shift();
+        var deps = modules[name].dependencies;
+
+        for (var i = 0; i < deps.length; i++) {
+            var dep = deps[i];
+
+            if (dep === start) {
+                var trail = [start];
+                for (var step = name; step !== start; step = previous[step]) {
+                    trail.unshift(step);
+                }
+
+                return [start].concat(trail);
+            }
+
+            if (members[dep] && !previous.hasOwnProperty(dep)) {
+                previous[dep] = name;
+                queue.push(dep);
+            }
+        }
+    }
+
+    return component.concat(start);
+}
\ No newline at end of file
@@ -0,0 +1,284 @@
+'use strict';
+
+var modulesBuilder = require('./modulesBuilder');
+
+exports.findDependencyPaths = findDependencyPaths;
+exports.listDependencies = listDependencies;
+exports.listDependents = listDependents;
+
+/**
+ * @param result {WhyResult}
+ * @returns {string}
+ */
+exports.printDependencyPaths = function(result) {
+    if (result.paths.length === 0) {
+        return "Module " + result.module + " is not a dependency of app " + result.app + "\n";
+    }
+
+    return "Module " + result.module + " is imported by app " + result.app + " through " + result.paths.length + " paths:\n" +
+           result.paths.map(function(trail) {
+               return "    " + trail.join(' -> ') + "\n";
+           }).join('');
+};
+
+/**
+ * @param result {DepsResult}
+ * @returns {string}
+ */
+exports.printDependencies = function(result) {
+    return "Module " + result.module + " (" + result.size + "KB) depends on " + result.dependencies.length + " modules, " +
+           result.totalSize + "KB in total:\n" +
+           result.dependencies.map(function(dependency) {
+               return "    " + dependency.name + " (" + dependency.size + "KB)\n";
+           }).join('');
+};
+
+/**
+ * @param result {RdepsResult}
+ * @returns {string}
+ */
+exports.printDependents = function(result) {
+    return "Module " + result.module + " is required by " + result.dependents.length + " modules:\n" +
+           result.dependents.map(function(name) {
+               return "    " + name + "\n";
+           }).join('') +
+           "and " + result.htmlFiles.length + " html files:\n" +
+           result.htmlFiles.map(function(entryPoint) {
+               return "    " + entryPoint.file + " (" + entryPoint.app + ")\n";
+           }).join('');
+};
+
+/**
+ * Every dependency path explaining why given module is imported by given app
+ * @param modules {ModulesStructure}
+ * @param appName {string}
+ * @param moduleName {string}
+ * @returns {WhyResult}
+ */
+function findDependencyPaths(modules, appName, moduleName) {
+    checkModule(modules, appName);
+    checkModule(modules, moduleName);
+
+    // fails on circular references, so paths search below always ends
+    modulesBuilder.resolveDependencies(appName, modules);
+
+    var result = new WhyResult();
+    result.module = moduleName;
+    result.app = appName;
+
+    var reaches = {};
+
+    /**
+     * @param name {string}
+     * @returns {boolean} given module is the searched one or depends on it
+     */
+    function reachesModule(name) {
+        if (!reaches.hasOwnProperty(name)) {
+            reaches[name] = name === moduleName || modules[name].dependencies.some(function(dep) {
+                return modules[dep] && reachesModule(dep);
+            });
+        }
+
+        return reaches[name];
+    }
+
+    /**
+     * @param name {string}
+     * @param trail {string[]}
+     */
+    function collectPaths(name, trail) {
+        if (name === moduleName) {
+            result.paths.push(trail.concat(name));
+            return;
+        }
+
+        modules[name].dependencies.forEach(function(dep) {
+            if (modules[dep] && reachesModule(dep)) {
+                collectPaths(dep, trail.concat(name));
+            }
+        });
+    }
+
+    if (reachesModule(appName)) {
+        collectPaths(appName, []);
+    }
+
+    return result;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param moduleName {string}
+ * @returns {DepsResult} transitive dependencies of given module in import order
+ */
+function listDependencies(modules, moduleName) {
+    checkModule(modules, moduleName);
+
+    var result = new DepsResult();
+    result.module = moduleName;
+    result.size = modules[moduleName].size;
+
+    modulesBuilder.resolveDependencies(moduleName, modules).forEach(function(name) {
+        if (name === moduleName) {
+            return;
+        }
+
+        result.dependencies.push(new ModuleSize(name, modules[name].size));
+        result.totalSize += modules[name].size;
+    });
+
+    result.totalSize += result.size;
+
+    return result;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param moduleName {string}
+ * @param entryPoints {Object<string, string>} ng-app module names by html file paths
+ * @returns {RdepsResult} modules and html files depending on given module directly or transitively
+ */
+function listDependents(modules, moduleName, entryPoints) {
+    checkModule(modules, moduleName);
+
+    var result = new RdepsResult();
+    result.module = moduleName;
+
+    // single walk of reversed edges from given module instead of resolving dependencies of every module
+    var dependentsByModule = Object.keys(modules).reduce(function(prev, name) {
+        modules[name].dependencies.forEach(function(dependency) {
+            (prev[dependency] || (prev[dependency] = [])).push(name);
+        });
+
+        return prev;
+    }, {});
+
+    var reached = {};
+    var queue = [moduleName];
+    reached[moduleName] = true;
+
+    for (var i = 0; i < queue.length; i++) {
+        (dependentsByModule[queue[i]] || []).forEach(function(name) {
+            if (!reached[name]) {
+                reached[name] = true;
+                queue.push(name);
+            }
+        });
+    }
+
+    result.dependents = Object.keys(modules).filter(function(name) {
+        return name !== moduleName && reached[name];
+    });
+
+    result.htmlFiles = Object.keys(entryPoints).filter(function(htmlFilePath) {
+        return reached[entryPoints[htmlFilePath]];
+    }).map(function(htmlFilePath) {
+        return new HtmlEntryPoint(htmlFilePath, entryPoints[htmlFilePath]);
+    });
+
+    return result;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param moduleName {string}
+ */
+function checkModule(modules, moduleName) {
+    if (!modules[moduleName]) {
+        throw Error("Module " + moduleName + " was not found");
+    }
+}
+
+function WhyResult() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * @type {string}
+     */
+    this.app = null;
+
+    /**
+     * Module names trails from app to module
+     * @type {string[][]}
+     */
+    this.paths = [];
+}
+
+function DepsResult() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * Own size of module, KB
+     * @type {number}
+     */
+    this.size = 0;
+
+    /**
+     * Size of module with all its dependencies, KB
+     * @type {number}
+     */
+    this.totalSize = 0;
+
+    /**
+     * @type {ModuleSize[]}
+     */
+    this.dependencies = [];
+}
+
+function RdepsResult() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * @type {string[]}
+     */
+    this.dependents = [];
+
+    /**
+     * @type {HtmlEntryPoint[]}
+     */
+    this.htmlFiles = [];
+}
+
+/**
+ * @param name {string}
+ * @param size {number}
+ * @constructor
+ */
+function ModuleSize(name, size) {
+    /**
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * KB
+     * @type {number}
+     */
+    this.size = size;
+}
+
+/**
+ * @param file {string}
+ * @param app {string}
+ * @constructor
+ */
+function HtmlEntryPoint(file, app) {
+    /**
+     * @type {string}
+     */
+    this.file = file;
+
+    /**
+     * @type {string}
+     */
+    this.app = app;
+}
\ No newline at end of file
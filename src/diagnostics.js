@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * @enum {string}
+ */
+var SEVERITY = {
+    error: 'error',
+    warn: 'warn',
+    off: 'off'
+};
+
+/**
+ * Default severity by diagnostic code
+ * @type {Object<string, SEVERITY>}
+ */
+var RULES = {
+    'parse-error': SEVERITY.error,
+    'non-literal-module-name': SEVERITY.warn,
+    'non-static-dependencies': SEVERITY.warn,
+    'non-literal-provider-name': SEVERITY.warn,
+    'unresolved-constructor': SEVERITY.warn,
+    'not-minify-ready': SEVERITY.error,
+    'missing-get': SEVERITY.error,
+    'duplicate-provider': SEVERITY.warn,
+    'duplicate-module': SEVERITY.error,
+    'provider-name-collision': SEVERITY.warn,
+    'missing-module-dependency': SEVERITY.error,
+    'unresolved-module': SEVERITY.warn,
+    'missing-template-dependency': SEVERITY.error,
+    'unknown-filter': SEVERITY.error,
+    'unknown-provider': SEVERITY.error,
+    'injection-phase': SEVERITY.error,
+    'unknown-decorated-service': SEVERITY.error,
+    'missing-template': SEVERITY.warn,
+    'ambiguous-template-directory': SEVERITY.warn,
+    'eager-lazy-module': SEVERITY.warn,
+    'shared-lazy-module': SEVERITY.warn,
+    'missing-integrity-file': SEVERITY.warn,
+    'circular-dependency': SEVERITY.error,
+    'circular-injection': SEVERITY.error,
+    'app-budget': SEVERITY.error,
+    'module-budget': SEVERITY.warn
+};
+
+var FORMATS = ['text', 'json', 'checkstyle', 'sarif'];
+
+exports.SEVERITY = SEVERITY;
+exports.RULES = RULES;
+exports.FORMATS = FORMATS;
+exports.Diagnostic = Diagnostic;
+
+exports.createDiagnostic = createDiagnostic;
+exports.applyRules = applyRules;
+exports.formatDiagnostics = formatDiagnostics;
+exports.formatDiagnostic = formatDiagnostic;
+exports.getExitCode = getExitCode;
+
+/**
+ * @param code {string} one of RULES keys
+ * @param message {string}
+ * @param details {{module: string=, provider: string=, file: string=, line: number=}=}
+ * @returns {Diagnostic}
+ */
+function createDiagnostic(code, message, details) {
+    var diagnostic = new Diagnostic();
+    diagnostic.code = code;
+    diagnostic.severity = RULES[code] || SEVERITY.error;
+    diagnostic.message = message;
+
+    Object.keys(details || {}).forEach(function(key) {
+        if (details[key] !== undefined) {
+            diagnostic[key] = details[key];
+        }
+    });
+
+    return diagnostic;
+}
+
+/**
+ * Override diagnostics severity according to config, dropping diagnostics of disabled rules
+ * @param diagnostics {Diagnostic[]}
+ * @param rulesConfig {Object<string, SEVERITY>=}
+ * @returns {Diagnostic[]}
+ */
+function applyRules(diagnostics, rulesConfig) {
+    return diagnostics
+        .map(function(diagnostic) {
+            if (rulesConfig && rulesConfig.hasOwnProperty(diagnostic.code)) {
+                diagnostic.severity = rulesConfig[diagnostic.code];
+            }
+
+            return diagnostic;
+        })
+        .filter(function(diagnostic) {
+            return diagnostic.severity !== SEVERITY.off;
+        });
+}
+
+/**
+ * @param diagnostics {Diagnostic[]}
+ * @param format {string} one of FORMATS
+ * @returns {string}
+ */
+function formatDiagnostics(diagnostics, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(diagnostics, null, 2);
+        case 'checkstyle':
+            return formatCheckstyle(diagnostics);
+        case 'sarif':
+            return JSON.stringify(buildSarif(diagnostics), null, 2);
+        case 'text':
+        case undefined:
+            return diagnostics.map(formatDiagnostic).join('\n');
+        default:
+            throw Error("Unrecognized diagnostics format " + format);
+    }
+}
+
+/**
+ * @param diagnostic {Diagnostic}
+ * @returns {string}
+ */
+function formatDiagnostic(diagnostic) {
+    var location = diagnostic.file ? diagnostic.file + (diagnostic.line ? ':' + diagnostic.line : '') + ': ' : '';
+
+    return location + diagnostic.severity + ' ' + diagnostic.message + ' [' + diagnostic.code + ']';
+}
+
+/**
+ * @param diagnostics {Diagnostic[]}
+ * @returns {number} 1 if there are errors, 0 otherwise
+ */
+function getExitCode(diagnostics) {
+    return diagnostics.some(function(diagnostic) { return diagnostic.severity === SEVERITY.error }) ? 1 : 0;
+}
+
+/**
+ * @param diagnostics {Diagnostic[]}
+ * @returns {string}
+ */
+function formatCheckstyle(diagnostics) {
+    var byFile = diagnostics.reduce(function(prev, diagnostic) {
+        var file = diagnostic.file || '';
+        (prev[file] || (prev[file] = [])).push(diagnostic);
+
+        return prev;
+    }, {});
+
+    var files = Object.keys(byFile).map(function(file) {
+        var errors = byFile[file].map(function(diagnostic) {
+            return '    <error line="' + (diagnostic.line || 0) + '"' +
+                   ' severity="' + (diagnostic.severity === SEVERITY.error ? 'error' : 'warning') + '"' +
+                   ' message="' + escapeXml(diagnostic.message) + '"' +
+                   ' source="angular-bundler.' + diagnostic.code + '"/>';
+        });
+
+        return '  <file name="' + escapeXml(file) + '">\n' + errors.join('\n') + '\n  </file>';
+    });
+
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+           '<checkstyle version="4.3">\n' +
+           files.join('\n') + (files.length > 0 ? '\n' : '') +
+           '</checkstyle>';
+}
+
+/**
+ * @param diagnostics {Diagnostic[]}
+ * @returns {Object} SARIF 2.1.0 log
+ */
+function buildSarif(diagnostics) {
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'angular-bundler',
+                    rules: Object.keys(RULES).map(function(code) {
+                        return {
+                            id: code,
+                            defaultConfiguration: {
+                                level: RULES[code] === SEVERITY.error ? 'error' : 'warning'
+                            }
+                        };
+                    })
+                }
+            },
+            results: diagnostics.map(function(diagnostic) {
+                var result = {
+                    ruleId: diagnostic.code,
+                    level: diagnostic.severity === SEVERITY.error ? 'error' : 'warning',
+                    message: {
+                        text: diagnostic.message
+                    }
+                };
+
+                if (diagnostic.file) {
+                    result.locations = [{
+                        physicalLocation: {
+                            artifactLocation: {
+                                uri: diagnostic.file
+                            },
+                            region: {
+                                startLine: diagnostic.line || 1
+                            }
+                        }
+                    }];
+                }
+
+                return result;
+            })
+        }]
+    };
+}
+
+/**
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function Diagnostic() {
+    /**
+     * @type {string}
+     */
+    this.code = null;
+
+    /**
+     * @type {SEVERITY}
+     */
+    this.severity = SEVERITY.error;
+
+    /**
+     * @type {string}
+     */
+    this.message = null;
+
+    /**
+     * @type {?string}
+     */
+    this.module = null;
+
+    /**
+     * @type {?string}
+     */
+    this.provider = null;
+
+    /**
+     * @type {?string}
+     */
+    this.file = null;
+
+    /**
+     * @type {?number}
+     */
+    this.line = null;
+}
\ No newline at end of file
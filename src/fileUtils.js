@@ -0,0 +1,19 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+exports.makeDirectory = makeDirectory;
+
+/**
+ * Create directory with all missing parents
+ * @param dir {string}
+ */
+function makeDirectory(dir) {
+    if (fs.existsSync(dir)) {
+        return;
+    }
+
+    makeDirectory(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
\ No newline at end of file
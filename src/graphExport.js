@@ -0,0 +1,330 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var modulesBuilder = require('./modulesBuilder');
+
+var explorerTemplatePath = path.join(__dirname, 'graphExplorer.html');
+
+/**
+ * @enum {string}
+ */
+var FORMATS = {
+    mermaid: 'mermaid',
+    graphml: 'graphml',
+    json: 'json',
+    html: 'html'
+};
+
+/**
+ * @typedef {Object} GraphOptions
+ * @property {boolean=} groupByDirectory group modules by directory of their declaring file
+ * @property {boolean=} external show dependencies missing from modules structure as external nodes
+ * @property {string=} app limit graph to dependencies subtree of given ng-app module
+ */
+
+exports.FORMATS = FORMATS;
+
+exports.buildGraphModel = buildGraphModel;
+exports.exportGraph = exportGraph;
+
+/**
+ * @param modules {ModulesStructure}
+ * @param options {GraphOptions=}
+ * @returns {GraphModel}
+ */
+function buildGraphModel(modules, options) {
+    options = options || {};
+
+    var model = new GraphModel();
+    var externals = {};
+    var names;
+
+    if (options.app) {
+        if (!modules[options.app]) {
+            throw Error("Module " + options.app + " was not found");
+        }
+
+        names = modulesBuilder.resolveDependencies(options.app, modules);
+    } else {
+        names = Object.keys(modules);
+    }
+
+    names.forEach(function(name) {
+        var module = modules[name];
+
+        var node = new GraphNode(name);
+        node.size = module.size;
+        node.files = module.files;
+        node.providers = module.providers;
+        if (options.groupByDirectory) {
+            node.group = getModuleDirectory(module);
+        }
+
+        model.nodes.push(node);
+    });
+
+    names.forEach(function(name) {
+        modules[name].dependencies.forEach(function(dep) {
+            if (modules[dep]) {
+                model.edges.push(new GraphEdge(name, dep));
+                return;
+            }
+
+            if (!options.external) {
+                return;
+            }
+
+            if (!externals[dep]) {
+                var node = externals[dep] = new GraphNode(dep);
+                node.external = true;
+                if (options.groupByDirectory) {
+                    node.group = 'external';
+                }
+
+                model.nodes.push(node);
+            }
+
+            var edge = new GraphEdge(name, dep);
+            edge.external = true;
+            model.edges.push(edge);
+        });
+    });
+
+    return model;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param format {FORMATS}
+ * @param options {GraphOptions=}
+ * @returns {string}
+ */
+function exportGraph(modules, format, options) {
+    var model = buildGraphModel(modules, options);
+
+    switch (format) {
+        case FORMATS.mermaid:
+            return printMermaid(model);
+        case FORMATS.graphml:
+            return printGraphML(model);
+        case FORMATS.json:
+            return JSON.stringify(model, null, 2);
+        case FORMATS.html:
+            return printExplorer(model);
+        default:
+            throw Error("Unrecognized graph format " + format);
+    }
+}
+
+/**
+ * @param module {ModuleConfig}
+ * @returns {string} directory of file declaring given module, of its first file if declaration was not found
+ */
+function getModuleDirectory(module) {
+    var file = module.declarations.length > 0 ? module.declarations[0].file : module.sources[module.files[0]];
+
+    return file ? path.dirname(file) : '';
+}
+
+/**
+ * @param model {GraphModel}
+ * @returns {string}
+ */
+function printMermaid(model) {
+    var ids = {};
+    model.nodes.forEach(function(node, index) {
+        ids[node.id] = 'm' + index;
+    });
+
+    var lines = ['graph LR'];
+
+    /**
+     * @param node {GraphNode}
+     * @returns {string}
+     */
+    function printNode(node) {
+        var label = node.id.replace(/"/g, '#quot;') + (node.external ? '' : ' (' + node.size + 'KB)');
+
+        return ids[node.id] + (node.external ? '(["' + label + '"])' : '["' + label + '"]');
+    }
+
+    var groups = groupNodes(model.nodes);
+    Object.keys(groups).forEach(function(group, index) {
+        if (group) {
+            lines.push('    subgraph g' + index + '["' + group.replace(/"/g, '#quot;') + '"]');
+            groups[group].forEach(function(node) {
+                lines.push('        ' + printNode(node));
+            });
+            lines.push('    end');
+        } else {
+            groups[group].forEach(function(node) {
+                lines.push('    ' + printNode(node));
+            });
+        }
+    });
+
+    model.edges.forEach(function(edge) {
+        lines.push('    ' + ids[edge.from] + (edge.external ? ' -.-> ' : ' --> ') + ids[edge.to]);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param model {GraphModel}
+ * @returns {string}
+ */
+function printGraphML(model) {
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="size" for="node" attr.name="size" attr.type="int"/>',
+        '  <key id="files" for="node" attr.name="files" attr.type="int"/>',
+        '  <key id="providers" for="node" attr.name="providers" attr.type="int"/>',
+        '  <key id="provides" for="node" attr.name="provides" attr.type="string"/>',
+        '  <key id="group" for="node" attr.name="group" attr.type="string"/>',
+        '  <key id="external" for="node" attr.name="external" attr.type="boolean"/>',
+        '  <key id="externalEdge" for="edge" attr.name="external" attr.type="boolean"/>',
+        '  <graph id="dependencies" edgedefault="directed">'
+    ];
+
+    model.nodes.forEach(function(node) {
+        lines.push('    <node id="' + escapeXml(node.id) + '">');
+        lines.push('      <data key="size">' + node.size + '</data>');
+        lines.push('      <data key="files">' + node.files.length + '</data>');
+        lines.push('      <data key="providers">' + node.providers.length + '</data>');
+        if (node.providers.length > 0) {
+            lines.push('      <data key="provides">' + escapeXml(node.providers.map(function(provider) {
+                return provider.recipe + ':' + provider.name;
+            }).join(' ')) + '</data>');
+        }
+        if (node.group !== null) {
+            lines.push('      <data key="group">' + escapeXml(node.group) + '</data>');
+        }
+        lines.push('      <data key="external">' + node.external + '</data>');
+        lines.push('    </node>');
+    });
+
+    model.edges.forEach(function(edge) {
+        lines.push('    <edge source="' + escapeXml(edge.from) + '" target="' + escapeXml(edge.to) + '">');
+        lines.push('      <data key="externalEdge">' + edge.external + '</data>');
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Self-contained html page with model embedded, no external scripts or styles are loaded
+ * @param model {GraphModel}
+ * @returns {string}
+ */
+function printExplorer(model) {
+    // embedded into <script>, so closing tags must not appear in data
+    var data = JSON.stringify(model).replace(/</g, '\\u003c');
+
+    return (fs.readFileSync(explorerTemplatePath) + '').replace('$model', function() {
+        return data;
+    });
+}
+
+/**
+ * @param nodes {GraphNode[]}
+ * @returns {Object<string, GraphNode[]>} nodes by group, ungrouped nodes are under empty string
+ */
+function groupNodes(nodes) {
+    return nodes.reduce(function(prev, node) {
+        var group = node.group || '';
+        (prev[group] || (prev[group] = [])).push(node);
+
+        return prev;
+    }, {});
+}
+
+/**
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function GraphModel() {
+    /**
+     * @type {GraphNode[]}
+     */
+    this.nodes = [];
+
+    /**
+     * @type {GraphEdge[]}
+     */
+    this.edges = [];
+}
+
+/**
+ * @param id {string} module name
+ * @constructor
+ */
+function GraphNode(id) {
+    /**
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * Module is not found in scanned directories
+     * @type {boolean}
+     */
+    this.external = false;
+
+    /**
+     * @type {?string}
+     */
+    this.group = null;
+
+    /**
+     * KB
+     * @type {number}
+     */
+    this.size = 0;
+
+    /**
+     * @type {string[]}
+     */
+    this.files = [];
+
+    /**
+     * @type {ProviderConfig[]}
+     */
+    this.providers = [];
+}
+
+/**
+ * @param from {string} dependent module name
+ * @param to {string} dependency module name
+ * @constructor
+ */
+function GraphEdge(from, to) {
+    /**
+     * @type {string}
+     */
+    this.from = from;
+
+    /**
+     * @type {string}
+     */
+    this.to = to;
+
+    /**
+     * @type {boolean}
+     */
+    this.external = false;
+}
\ No newline at end of file
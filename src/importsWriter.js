@@ -2,13 +2,16 @@
 
 var fs = require('fs');
 var util = require('util');
+var crypto = require('crypto');
 var modulesBuilder = require('./modulesBuilder');
-var htmlBeautify = require('js-beautify').html;
+var bundleWriter = require('./bundleWriter');
+var diagnostics = require('./diagnostics');
 
-var importTemplate = '<script$async type="text/javascript" src="$src"></script>';
-var importCssTemplate = '<link$async rel="stylesheet" type="text/css" href="$src">';
+var importTemplate = '<script$attributes type="text/javascript" src="$src"></script>';
+var importCssTemplate = '<link$attributes rel="stylesheet" type="text/css" href="$src">';
 
 var moduleCommentTemplate = '<!-- module $ -->';
+var bundleCommentTemplate = '<!-- bundle $ -->';
 
 var asyncFileFlag = '+async';
 
@@ -24,50 +27,133 @@ var staticCssEndLabel = '<!-- static css [$] end -->';
  * @typedef {Array<string | Object<string, string> | Object<string,string[]>>} StaticImportConfig
  */
 
+/**
+ * @typedef {Object} TagAttributes
+ * @property {boolean=} async
+ * @property {boolean=} defer applied to scripts only
+ * @property {string=} crossorigin
+ * @property {string=} nonce value or server template placeholder
+ * @property {(boolean|'sha256'|'sha384'|'sha512')=} integrity computed from imported files, sha384 if true
+ */
+
+/**
+ * @typedef {Object} AttributesConfig
+ * @property {TagAttributes=} default attributes of all imports
+ * @property {Object<string, TagAttributes>=} static attributes of static imports by static group name
+ * @property {Object<string, TagAttributes>=} modules attributes of module files by module name
+ */
+
+/**
+ * @typedef {Object} ImportsOptions
+ * @property {BundleConfig=} bundle write modules files into bundles and import them instead of separate files
+ * @property {function(string, string, (Buffer|string)):HashedAsset=} assetMapper function that maps given import url of
+ * given real file with given content to url written into html and content served by it
+ * @property {boolean=} dryRun build bundles and map assets in memory only, nothing is written
+ * @property {Object<string, string>=} contents content of generated files not written yet by real path, used instead of
+ * files on disk
+ * @property {AttributesConfig=} attributes
+ * @property {Diagnostic[]=} problems problems of rendered imports are appended to it
+ * @property {function(string)=} log writer of progress messages, console.log by default
+ */
+
 /**
  * Write non-static js imports to config's html files according to build modules structure and list of static imports according to provided labels (if any)
  * @param filePath {string}
  * @param modules {ModulesStructure}
  * @param staticImportsConfig {StaticImportConfig | Object<string, StaticImportConfig>}
- * @returns {string[]}
+ * @param options {ImportsOptions=}
+ * @returns {boolean} true if file content changed, unchanged file is not rewritten
  */
-module.exports.writeImports = function(filePath, modules, staticImportsConfig) {
-    var file = fs.readFileSync(filePath) + '';
+module.exports.writeImports = function(filePath, modules, staticImportsConfig, options) {
+    var current = fs.readFileSync(filePath) + '';
+    var mainModuleName = findMainModuleName(current, filePath, modules);
+    var rendered = renderImports(filePath, modules, staticImportsConfig, options);
 
-    var mainModuleMatch = file.match(/ng-app="(.*?)"/);
-    if (!mainModuleMatch || !mainModuleMatch[1]) {
-        throw Error("ng-app declaration was not found in file " + filePath);
+    if (rendered !== current) {
+        fs.writeFileSync(filePath, rendered);
     }
 
-    var mainModuleName = mainModuleMatch[1];
+    var dependenciesBytes = modulesBuilder.resolveDependencies(mainModuleName, modules).reduce(function(prev, dep) {
+        return prev + modules[dep].bytes;
+    }, 0);
+    var log = options && options.log || console.log;
+    log("App " + mainModuleName + " has " + dependenciesBytes + " bytes of non-static imports");
 
-    var mainModule = modules[mainModuleName];
-    if (!mainModule) {
-        throw Error("Module " + mainModuleName + " declared in file " + filePath + " was not found");
-    }
+    return rendered !== current;
+};
 
-    var dependencies = modulesBuilder.resolveDependencies(mainModuleName, modules);
-    var dependenciesImports = dependencies
-        .map(function(depName) {
-            var importEntries = sortModuleFiles(modules[depName].files).map(buildImportEntry);
+module.exports.renderImports = renderImports;
 
-            return moduleCommentTemplate.replace('$', depName) +
-                   '\n' +
-                   printImports(importEntries).js +
-                   '\n';
-        })
-        .join('\n');
+/**
+ * Build content of given html file with imports written, without touching the file itself
+ * @param filePath {string}
+ * @param modules {ModulesStructure}
+ * @param staticImportsConfig {StaticImportConfig | Object<string, StaticImportConfig>}
+ * @param options {ImportsOptions=}
+ * @returns {string}
+ */
+function renderImports(filePath, modules, staticImportsConfig, options) {
+    var file = fs.readFileSync(filePath) + '';
+
+    options = options || {};
+    var attributesConfig = options.attributes || {};
+
+    var mainModuleName = findMainModuleName(file, filePath, modules);
+
+    var dependencies = modulesBuilder.resolveDependencies(mainModuleName, modules);
+    var dependenciesImports;
+    if (options.bundle) {
+        dependenciesImports = printBundleImports(mainModuleName, dependencies, modules, options);
+    } else {
+        // file declaring several modules, like vendor distributions do, is imported with the first of them only
+        var imported = {};
+
+        dependenciesImports = dependencies
+            .map(function(depName) {
+                var files = sortModuleFiles(modules[depName].files).filter(function(file) {
+                    return !imported[file] && (imported[file] = true);
+                });
+
+                return {
+                    name: depName,
+                    files: files
+                };
+            })
+            .filter(function(dependency) {
+                return dependency.files.length > 0;
+            })
+            .map(function(dependency) {
+                var importEntries = dependency.files.map(function(file) {
+                    var entry = buildImportEntry(file);
+                    entry.path = modules[dependency.name].sources[file];
+                    entry.content = options.contents && options.contents[entry.path] || null;
+                    entry.attributes = resolveAttributes(attributesConfig, 'modules', dependency.name);
+
+                    return entry;
+                });
+
+                return moduleCommentTemplate.replace('$', dependency.name) +
+                       '\n' +
+                       printImports(importEntries, options).js +
+                       '\n';
+            })
+            .join('\n');
+    }
 
     var staticImports;
     if (Array.isArray(staticImportsConfig)) {
-        staticImports = printImports(collectImports(staticImportsConfig));
+        staticImports = printImports(withAttributes(collectImports(staticImportsConfig),
+                                                    resolveAttributes(attributesConfig)),
+                                     options);
     } else {
         if (!(staticImportsConfig instanceof Object)) {
             throw Error("Wrong 'static' format - expected object or array");
         }
 
         Object.keys(staticImportsConfig).forEach(function(name) {
-            var imports = printImports(collectImports(staticImportsConfig[name]));
+            var imports = printImports(withAttributes(collectImports(staticImportsConfig[name]),
+                                                      resolveAttributes(attributesConfig, 'static', name)),
+                                       options);
 
             if (imports.js) {
                 file = insertBetweenLabels(staticJsStartLabel.replace('$', name),
@@ -90,20 +176,10 @@ module.exports.writeImports = function(filePath, modules, staticImportsConfig) {
                                (staticImports ? staticImports + '\n' : '') + dependenciesImports,
                                file);
 
-    var beautified = htmlBeautify(file, {
-        extra_liners: [],
-        indent_body_inner_html: false
-    });
-
-    fs.writeFileSync(filePath, beautified);
-
-    var dependenciesSize = mainModule.size +
-                           dependencies.reduce(function(prev, dep) {
-                               return prev + modules[dep].size
-                           }, 0);
-    console.log("App " + mainModuleName + " has " + dependenciesSize + "KB of non-static imports");
+    return file;
 
     /**
+     * Replace everything between labels with given content indented as start label, the rest of file is kept as is
      * @param startLabel {string}
      * @param endLabel {string}
      * @param content {string}
@@ -112,22 +188,204 @@ module.exports.writeImports = function(filePath, modules, staticImportsConfig) {
      */
     function insertBetweenLabels(startLabel, endLabel, content, file) {
         var start = file.indexOf(startLabel);
-        if (start <= 0) {
+        if (start < 0) {
             throw Error("Imports label '" + startLabel + "' was not found in file " + filePath);
         }
 
-        var end = file.indexOf(endLabel);
-        if (end <= 0) {
+        var end = file.indexOf(endLabel, start);
+        if (end < 0) {
             throw Error("Imports label '" + endLabel + "' was not found in file " + filePath);
         }
 
+        var linePrefix = file.substring(file.lastIndexOf('\n', start) + 1, start);
+        var indent = /^[ \t]*$/.test(linePrefix) ? linePrefix : '';
+        var newline = file.indexOf('\r\n') >= 0 ? '\r\n' : '\n';
+
+        var lines = content.replace(/\n+$/, '').split('\n').filter(function(line, index, array) {
+            return array.length > 1 || line; // empty content leaves labels on adjacent lines
+        });
+
         return file.substring(0, start + startLabel.length) +
-               '\n' +
-               content +
+               newline +
+               lines.map(function(line) {
+                   return (line ? indent + line : line) + newline;
+               }).join('') +
+               indent +
                file.substring(end);
     }
+}
+
+/**
+ * List non-static module files imported by given html file according to modules structure
+ * @param filePath {string}
+ * @param modules {ModulesStructure}
+ * @returns {string[]}
+ */
+module.exports.listImports = function(filePath, modules) {
+    var mainModuleName = findMainModuleName(fs.readFileSync(filePath) + '', filePath, modules);
+
+    return listModulesFiles(modulesBuilder.resolveDependencies(mainModuleName, modules), modules);
 };
 
+/**
+ * @param filePath {string}
+ * @param modules {ModulesStructure}
+ * @returns {string} ng-app module name declared in given html file
+ */
+module.exports.readAppName = function(filePath, modules) {
+    return findMainModuleName(fs.readFileSync(filePath) + '', filePath, modules);
+};
+
+module.exports.listModulesFiles = listModulesFiles;
+
+/**
+ * @param staticImportsConfig {StaticImportConfig | Object<string, StaticImportConfig>}
+ * @returns {string[]} files of all static js and css imports
+ */
+module.exports.listStaticFiles = function(staticImportsConfig) {
+    var configs = Array.isArray(staticImportsConfig) ?
+                  [staticImportsConfig] :
+                  Object.keys(staticImportsConfig || {}).map(function(name) {
+                      return staticImportsConfig[name];
+                  });
+
+    return configs.reduce(function(prev, config) {
+        collectImports(config).forEach(function(importEntry) {
+            var entries = importEntry instanceof ImportGroup ? importEntry.entries : [].concat(importEntry);
+
+            entries.forEach(function(entry) {
+                prev.push(entry.path);
+            });
+        });
+
+        return prev;
+    }, []);
+};
+
+/**
+ * @param moduleNames {string[]} modules in import order
+ * @param modules {ModulesStructure}
+ * @returns {string[]} files of given modules in import order
+ */
+function listModulesFiles(moduleNames, modules) {
+    return moduleNames.reduce(function(prev, moduleName) {
+        return prev.concat(sortModuleFiles(modules[moduleName].files).filter(function(file) {
+            return prev.indexOf(file) < 0;
+        }));
+    }, []);
+}
+
+/**
+ * @param file {string} html file content
+ * @param filePath {string}
+ * @param modules {ModulesStructure}
+ * @returns {string} ng-app module name
+ */
+function findMainModuleName(file, filePath, modules) {
+    var mainModuleMatch = file.match(/ng-app="(.*?)"/);
+    if (!mainModuleMatch || !mainModuleMatch[1]) {
+        throw Error("ng-app declaration was not found in file " + filePath);
+    }
+
+    var mainModuleName = mainModuleMatch[1];
+
+    if (!modules[mainModuleName]) {
+        throw Error("Module " + mainModuleName + " declared in file " + filePath + " was not found");
+    }
+
+    return mainModuleName;
+}
+
+/**
+ * Write bundles of given app modules and print their imports
+ * @param appName {string}
+ * @param dependencies {string[]} resolved app modules in import order
+ * @param modules {ModulesStructure}
+ * @param options {ImportsOptions} options with bundle config
+ * @returns {string}
+ */
+function printBundleImports(appName, dependencies, modules, options) {
+    var bundleConfig = options.bundle;
+    var attributesConfig = options.attributes || {};
+    var bundled = {};
+    var chunks = dependencies.map(function(depName) {
+        var module = modules[depName];
+
+        return {
+            name: depName,
+            sources: sortModuleFiles(module.files).map(function(file) {
+                return module.sources[file];
+            }).filter(function(source) {
+                return !bundled[source] && (bundled[source] = true);
+            })
+        };
+    }).filter(function(chunk) {
+        return chunk.sources.length > 0;
+    });
+
+    if (bundleConfig.split !== 'module') {
+        chunks = [{
+            name: appName,
+            sources: chunks.reduce(function(prev, chunk) {
+                return prev.concat(chunk.sources);
+            }, [])
+        }];
+    }
+
+    return chunks
+        .map(function(chunk) {
+            var bundleFile = options.dryRun ?
+                             bundleWriter.buildBundle(chunk.name, chunk.sources, bundleConfig, options.contents) :
+                             bundleWriter.writeBundle(chunk.name, chunk.sources, bundleConfig, options.log);
+            var entry = new ImportEntry(bundleFile.url, 'js', false, bundleFile.path);
+            entry.content = bundleFile.code;
+            // app bundle takes attributes of app module, like bundle of any other module
+            entry.attributes = resolveAttributes(attributesConfig, 'modules', chunk.name);
+
+            return bundleCommentTemplate.replace('$', chunk.name) +
+                   '\n' +
+                   printImports([entry], options).js +
+                   '\n';
+        })
+        .join('\n');
+}
+
+/**
+ * @param attributesConfig {AttributesConfig}
+ * @param kind {('static'|'modules')=}
+ * @param name {string=} static group or module name
+ * @returns {TagAttributes} default attributes overridden by given static group or module ones
+ */
+function resolveAttributes(attributesConfig, kind, name) {
+    var attributes = {};
+    var specific = kind && attributesConfig[kind] ? attributesConfig[kind][name] : null;
+
+    [attributesConfig.default, specific].forEach(function(source) {
+        Object.keys(source || {}).forEach(function(key) {
+            attributes[key] = source[key];
+        });
+    });
+
+    return attributes;
+}
+
+/**
+ * @param imports {(ImportEntry | ImportGroup)[]}
+ * @param attributes {TagAttributes}
+ * @returns {(ImportEntry | ImportGroup)[]} given imports
+ */
+function withAttributes(imports, attributes) {
+    imports.forEach(function(importEntry) {
+        var entries = importEntry instanceof ImportGroup ? importEntry.entries : [importEntry];
+
+        entries.forEach(function(entry) {
+            entry.attributes = attributes;
+        });
+    });
+
+    return imports;
+}
+
 /**
  * @param files {string[]}
  * @returns {string[]}
@@ -158,7 +416,7 @@ function buildImportEntry(fileEntry) {
         throw Error("Unrecognized file format for import file " + fileEntry);
     }
 
-    return new ImportEntry(fileEntry, type, isAsync);
+    return new ImportEntry(fileEntry, type, isAsync, fileEntry);
 }
 
 /**
@@ -193,9 +451,12 @@ function collectImports(importConfigsList) {
 
 /**
  * @param imports {(ImportEntry | ImportGroup)[]}
+ * @param options {ImportsOptions}
  * @returns {{js: string, css: string}}
  */
-function printImports(imports) {
+function printImports(imports, options) {
+    var assetMapper = options.assetMapper;
+
     return {
         js: doPrint(imports, 'js'),
         css: doPrint(imports, 'css')
@@ -249,17 +510,59 @@ function printImports(imports) {
                     throw Error("Unrecognized file format for import file " + entry.src);
             }
 
-            if (entry.async) {
-                template = template.replace('$async', ' async');
-            } else {
-                template = template.replace('$async', '');
+            // asset mapper reads files itself, otherwise content is needed for integrity only
+            var content = entry.content;
+            if (!content && !assetMapper && entry.attributes && entry.attributes.integrity &&
+                entry.path && fs.existsSync(entry.path)) {
+                content = fs.readFileSync(entry.path);
             }
 
-            return template.replace('$src', entry.src);
+            var asset = assetMapper ? assetMapper(entry.src, entry.path, content) : {url: entry.src, content: content};
+
+            return template
+                .replace('$attributes', printAttributes(entry, asset.content, options.problems))
+                .replace('$src', asset.url);
         }
     }
 }
 
+/**
+ * @param entry {ImportEntry}
+ * @param content {?(Buffer|string)} content served by import url, integrity is computed from it
+ * @param problems {Diagnostic[]=}
+ * @returns {string}
+ */
+function printAttributes(entry, content, problems) {
+    var attributes = entry.attributes || {};
+    var printed = '';
+
+    if (entry.async || attributes.async) {
+        printed += ' async';
+    }
+    if (attributes.defer && entry.type === 'js') {
+        printed += ' defer';
+    }
+    if (attributes.crossorigin) {
+        printed += ' crossorigin="' + attributes.crossorigin + '"';
+    }
+    if (attributes.nonce) {
+        printed += ' nonce="' + attributes.nonce + '"';
+    }
+    if (attributes.integrity) {
+        var algorithm = attributes.integrity === true ? 'sha384' : attributes.integrity;
+
+        if (content) {
+            printed += ' integrity="' + algorithm + '-' +
+                       crypto.createHash(algorithm).update(content).digest('base64') + '"';
+        } else if (problems) {
+            problems.push(diagnostics.createDiagnostic('missing-integrity-file', "Unable to compute integrity of " +
+                                                                                 entry.src + " - file not found"));
+        }
+    }
+
+    return printed;
+}
+
 if (!String.prototype.endsWith) {
     String.prototype.endsWith = function(searchString, position) {
         var subjectString = this.toString();
@@ -276,9 +579,10 @@ if (!String.prototype.endsWith) {
  * @param src {string}
  * @param type {'js'|'css'}
  * @param async {boolean}
+ * @param path {string} real file path
  * @constructor
  */
-function ImportEntry(src, type, async) {
+function ImportEntry(src, type, async, path) {
     /**
      * @type {string}
      */
@@ -293,6 +597,22 @@ function ImportEntry(src, type, async) {
      * @type {boolean}
      */
     this.async = async;
+
+    /**
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * @type {TagAttributes}
+     */
+    this.attributes = {};
+
+    /**
+     * Content of file built in memory, real file is read if missing
+     * @type {?string}
+     */
+    this.content = null;
 }
 
 /**
@@ -0,0 +1,160 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var modulesBuilder = require('./modulesBuilder');
+var importsWriter = require('./importsWriter');
+var bundleWriter = require('./bundleWriter');
+var fileUtils = require('./fileUtils');
+var diagnostics = require('./diagnostics');
+
+/**
+ * @typedef {Object} LazyConfig
+ * @property {string[]} modules lazy loaded entry point modules
+ * @property {string} manifest path of generated manifest, $ is replaced with ng-app name
+ */
+
+module.exports.splitLazyChunks = splitLazyChunks;
+
+/**
+ * Report lazy modules loaded up front by given app and modules shared by several lazy chunks of it
+ * @param appName {string}
+ * @param modules {ModulesStructure}
+ * @param config {LazyConfig}
+ * @returns {Diagnostic[]}
+ */
+module.exports.checkLazyChunks = function(appName, modules, config) {
+    var split = splitLazyChunks(appName, modules, config.modules);
+
+    return split.eagerLazyModules.map(function(lazyModule) {
+        return createDiagnostic('eager-lazy-module', "Lazy module " + lazyModule + " is reachable from app " + appName +
+                                                     " and is loaded up front", lazyModule);
+    }).concat(Object.keys(split.shared).map(function(moduleName) {
+        return createDiagnostic('shared-lazy-module', "Module " + moduleName + " of app " + appName + " is shared by " +
+                                                      "lazy modules " + split.shared[moduleName].join(', '), moduleName);
+    }));
+
+    function createDiagnostic(code, message, moduleName) {
+        var declaration = modules[moduleName].declarations[0];
+
+        return diagnostics.createDiagnostic(code, message, {
+            module: moduleName,
+            file: declaration && declaration.file,
+            line: declaration && declaration.line
+        });
+    }
+};
+
+/**
+ * Write ocLazyLoad compatible manifest with files of every lazy module chunk of given app, problems of the split are
+ * reported by checkLazyChunks
+ * @param appName {string}
+ * @param modules {ModulesStructure}
+ * @param config {LazyConfig}
+ * @param bundleConfig {BundleConfig=} write every chunk into bundle and list bundles in manifest
+ * @param urlMapper {function(string, string):string=} function that maps given file url of given real file to url written into manifest
+ * @param log {function(string)=} writer of progress messages, console.log by default
+ * @returns {LazySplit}
+ */
+module.exports.writeManifest = function(appName, modules, config, bundleConfig, urlMapper, log) {
+    log = log || console.log;
+
+    var split = splitLazyChunks(appName, modules, config.modules);
+
+    var manifest = {
+        modules: Object.keys(split.chunks).map(function(lazyModule) {
+            var files = split.chunks[lazyModule].reduce(function(prev, moduleName) {
+                return prev.concat(importsWriter.listModulesFiles([moduleName], modules).map(function(file) {
+                    return {
+                        url: file,
+                        path: modules[moduleName].sources[file]
+                    };
+                }));
+            }, []);
+
+            if (bundleConfig) {
+                files = [bundleWriter.writeBundle(lazyModule, files.map(function(file) { return file.path }), bundleConfig,
+                                                  log)];
+            }
+
+            return {
+                name: lazyModule,
+                files: files.map(function(file) {
+                    return urlMapper ? urlMapper(file.url, file.path) : file.url;
+                })
+            };
+        }),
+        shared: split.shared
+    };
+
+    var manifestPath = config.manifest.replace('$', appName);
+    fileUtils.makeDirectory(path.dirname(manifestPath));
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    log("App " + appName + " has " + manifest.modules.length + " lazy modules, manifest written to " + manifestPath);
+
+    return split;
+};
+
+/**
+ * Split dependencies of lazy modules into chunks containing only modules not loaded up front by given app
+ * @param appName {string}
+ * @param modules {ModulesStructure}
+ * @param lazyModules {string[]}
+ * @returns {LazySplit}
+ */
+function splitLazyChunks(appName, modules, lazyModules) {
+    var split = new LazySplit();
+    var eager = modulesBuilder.resolveDependencies(appName, modules).reduce(function(prev, moduleName) {
+        prev[moduleName] = true;
+        return prev;
+    }, {});
+    var chunkByModule = {};
+
+    lazyModules.forEach(function(lazyModule) {
+        if (!modules[lazyModule]) {
+            throw Error("Lazy module " + lazyModule + " was not found");
+        }
+
+        if (eager[lazyModule]) {
+            split.eagerLazyModules.push(lazyModule);
+            return;
+        }
+
+        split.chunks[lazyModule] = modulesBuilder.resolveDependencies(lazyModule, modules).filter(function(moduleName) {
+            return !eager[moduleName];
+        });
+
+        split.chunks[lazyModule].forEach(function(moduleName) {
+            (chunkByModule[moduleName] || (chunkByModule[moduleName] = [])).push(lazyModule);
+        });
+    });
+
+    Object.keys(chunkByModule).forEach(function(moduleName) {
+        if (chunkByModule[moduleName].length > 1) {
+            split.shared[moduleName] = chunkByModule[moduleName];
+        }
+    });
+
+    return split;
+}
+
+function LazySplit() {
+    /**
+     * Modules loaded on demand by lazy module name, in import order
+     * @type {Object<string, string[]>}
+     */
+    this.chunks = {};
+
+    /**
+     * Lazy modules included in more than one chunk by module name
+     * @type {Object<string, string[]>}
+     */
+    this.shared = {};
+
+    /**
+     * Lazy modules which app depends on, so they are loaded up front
+     * @type {string[]}
+     */
+    this.eagerLazyModules = [];
+}
\ No newline at end of file
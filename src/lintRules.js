@@ -0,0 +1,268 @@
+'use strict';
+
+var path = require('path');
+var diagnostics = require('./diagnostics');
+
+/**
+ * Lint rule checks modules structure and reports every violation it finds. Rules of plugins listed in config are
+ * written the same way as built-in ones below.
+ * @typedef {Object} LintRule
+ * @property {SEVERITY=} severity default severity of rule's diagnostics, 'warn' if missing
+ * @property {function(ModulesStructure, *, function(string, Object=))} check called with modules structure, rule options
+ * from config and report function accepting violation message and its module, provider, file and line
+ */
+
+/**
+ * @typedef {Object} LintConfig
+ * @property {Object<string, *>=} rules options of enabled rules by rule name, rule is disabled by false
+ * @property {string[]=} plugins paths of node modules exporting custom rules by their names
+ */
+
+/**
+ * @type {Object<string, LintRule>}
+ */
+var BUILT_IN_RULES = {
+    'module-name-matches-directory': {
+        check: checkModuleDirectory
+    },
+    'one-module-per-file': {
+        check: checkModulesPerFile
+    },
+    'max-dependencies': {
+        check: checkDependenciesCount
+    },
+    'no-feature-dependencies': {
+        severity: diagnostics.SEVERITY.error,
+        check: checkFeatureDependencies
+    },
+    'provider-prefix': {
+        check: checkProviderPrefix
+    }
+};
+
+var DEFAULT_MAX_DEPENDENCIES = 10;
+
+/**
+ * Recipes whose names are not chosen by their authors - decorated service, animation class or route
+ * @type {string[]}
+ */
+var UNNAMED_RECIPES = ['decorator', 'animation', 'route'];
+
+exports.BUILT_IN_RULES = BUILT_IN_RULES;
+
+exports.loadRules = loadRules;
+exports.runRules = runRules;
+
+/**
+ * @param lintConfig {LintConfig=}
+ * @returns {Object<string, LintRule>} built-in and plugins rules by names
+ */
+function loadRules(lintConfig) {
+    var rules = {};
+
+    Object.keys(BUILT_IN_RULES).forEach(function(name) {
+        rules[name] = BUILT_IN_RULES[name];
+    });
+
+    (lintConfig && lintConfig.plugins || []).forEach(function(pluginPath) {
+        var plugin = require(path.resolve(pluginPath));
+
+        Object.keys(plugin).forEach(function(name) {
+            if (rules[name] || diagnostics.RULES.hasOwnProperty(name)) {
+                throw Error("Lint rule " + name + " of plugin " + pluginPath + " is already defined");
+            }
+            if (!plugin[name] || typeof plugin[name].check !== 'function') {
+                throw Error("Lint rule " + name + " of plugin " + pluginPath + " has no check function");
+            }
+
+            rules[name] = plugin[name];
+        });
+    });
+
+    return rules;
+}
+
+/**
+ * Run rules enabled in config
+ * @param modules {ModulesStructure}
+ * @param lintConfig {LintConfig=}
+ * @returns {Diagnostic[]} violations with rule names as codes
+ */
+function runRules(modules, lintConfig) {
+    var rules = loadRules(lintConfig);
+    var enabled = lintConfig && lintConfig.rules || {};
+    var found = [];
+
+    // conventions of installed packages are not ours to enforce
+    var ownModules = Object.keys(modules).reduce(function(prev, moduleName) {
+        if (!modules[moduleName].vendor) {
+            prev[moduleName] = modules[moduleName];
+        }
+
+        return prev;
+    }, {});
+
+    Object.keys(enabled).forEach(function(name) {
+        var options = enabled[name];
+        if (options === false) {
+            return;
+        }
+
+        var rule = rules[name];
+        if (!rule) {
+            throw Error("Unknown lint rule " + name);
+        }
+
+        rule.check(ownModules, options, function(message, details) {
+            var diagnostic = diagnostics.createDiagnostic(name, message, details);
+            diagnostic.severity = rule.severity || diagnostics.SEVERITY.warn;
+            found.push(diagnostic);
+        });
+    });
+
+    return found;
+}
+
+/**
+ * Last part of module name must match directory of file declaring module, ignoring case, '-' and '_'
+ * @param modules {ModulesStructure}
+ * @param options {{separator: string=}|boolean} separator of module name parts, '.' by default
+ * @param report {function(string, Object=)}
+ */
+function checkModuleDirectory(modules, options, report) {
+    var separator = options && options.separator || '.';
+
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].declarations.forEach(function(declaration) {
+            var directory = path.basename(path.dirname(declaration.file));
+            var lastPart = moduleName.split(separator).pop();
+
+            if (normalize(lastPart) !== normalize(directory)) {
+                report("Module " + moduleName + " is declared in directory " + directory + ", directory " + lastPart + " expected", {
+                    module: moduleName,
+                    file: declaration.file,
+                    line: declaration.line
+                });
+            }
+        });
+    });
+
+    function normalize(name) {
+        return name.toLowerCase().replace(/[-_]/g, '');
+    }
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param options {boolean}
+ * @param report {function(string, Object=)}
+ */
+function checkModulesPerFile(modules, options, report) {
+    var declarations = Object.keys(modules).reduce(function(prev, moduleName) {
+        return prev.concat(modules[moduleName].declarations.map(function(declaration) {
+            return {module: moduleName, file: declaration.file, line: declaration.line};
+        }));
+    }, []);
+    var declared = {};
+
+    declarations.sort(function(a, b) {
+        return a.line - b.line;
+    }).forEach(function(declaration) {
+        var first = declared[declaration.file];
+
+        if (!first) {
+            declared[declaration.file] = declaration.module;
+        } else if (first !== declaration.module) {
+            report("Module " + declaration.module + " is declared in the same file as module " + first, declaration);
+        }
+    });
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param options {number|boolean} maximal number of module's direct dependencies, DEFAULT_MAX_DEPENDENCIES by default
+ * @param report {function(string, Object=)}
+ */
+function checkDependenciesCount(modules, options, report) {
+    var max = typeof options === 'number' ? options : DEFAULT_MAX_DEPENDENCIES;
+
+    Object.keys(modules).forEach(function(moduleName) {
+        var module = modules[moduleName];
+
+        if (module.dependencies.length > max) {
+            report("Module " + moduleName + " has " + module.dependencies.length + " dependencies, maximum is " + max,
+                   getDeclarationDetails(moduleName, module));
+        }
+    });
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param options {{pattern: string}} regular expression matching names of feature modules
+ * @param report {function(string, Object=)}
+ */
+function checkFeatureDependencies(modules, options, report) {
+    if (!options || !options.pattern) {
+        throw Error("Feature modules pattern is missing in options of no-feature-dependencies lint rule");
+    }
+
+    var pattern = new RegExp(options.pattern);
+
+    Object.keys(modules).filter(isFeature).forEach(function(moduleName) {
+        var module = modules[moduleName];
+
+        module.dependencies.filter(isFeature).forEach(function(dependency) {
+            report("Feature module " + moduleName + " depends on feature module " + dependency,
+                   getDeclarationDetails(moduleName, module));
+        });
+    });
+
+    function isFeature(moduleName) {
+        return pattern.test(moduleName);
+    }
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param options {string|Object<string, string>} prefix of all providers names or prefixes by recipes
+ * @param report {function(string, Object=)}
+ */
+function checkProviderPrefix(modules, options, report) {
+    if (!options || !(typeof options === 'string' || options instanceof Object)) {
+        throw Error("Prefixes are missing in options of provider-prefix lint rule");
+    }
+
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].providers.forEach(function(provider) {
+            if (UNNAMED_RECIPES.indexOf(provider.recipe) >= 0) {
+                return;
+            }
+
+            var prefix = typeof options === 'string' ? options : options[provider.recipe];
+
+            if (prefix && provider.name.indexOf(prefix) !== 0) {
+                report("Name of " + provider.recipe + " " + provider.name + " must start with " + prefix, {
+                    module: moduleName,
+                    provider: provider.name,
+                    file: provider.file,
+                    line: provider.line
+                });
+            }
+        });
+    });
+}
+
+/**
+ * @param moduleName {string}
+ * @param module {ModuleConfig}
+ * @returns {Object} diagnostic details pointing to module's declaration
+ */
+function getDeclarationDetails(moduleName, module) {
+    var declaration = module.declarations[0];
+
+    return {
+        module: moduleName,
+        file: declaration && declaration.file,
+        line: declaration && declaration.line
+    };
+}
\ No newline at end of file
@@ -1,60 +1,289 @@
 'use strict';
 
 var glob = require('glob');
-var vm = require('vm');
 var fs = require('fs');
-var util = require('util');
+var crypto = require('crypto');
+var sourceAnalyzer = require('./sourceAnalyzer');
+var ngCore = require('./ngCore');
+var diagnostics = require('./diagnostics');
+var dependencyGraph = require('./dependencyGraph');
+
+/**
+ * @type {?DependencyGraph}
+ */
+var lastGraph = null;
+
+/**
+ * Recipes registering directives - angular keeps every directive registered under the same name
+ * @type {string[]}
+ */
+var DIRECTIVE_RECIPES = ['directive', 'component'];
 
 exports.ProviderConfig = ProviderConfig;
 
+exports.ModulesCollector = ModulesCollector;
+
 exports.buildModulesStructure = buildModulesStructure;
 exports.buildDOTDiagram = buildDOTDiagram;
 exports.validateInjects = validateInjects;
+exports.validateInjectionPhases = validateInjectionPhases;
+exports.validateDecorators = validateDecorators;
+exports.findProviderCollisions = findProviderCollisions;
+exports.buildVendorModules = buildVendorModules;
+exports.addVendorModules = addVendorModules;
+exports.findUnresolvedModules = findUnresolvedModules;
+exports.getInjectableNames = getInjectableNames;
 exports.resolveDependencies = resolveDependencies;
-exports.findCircularReference = findCircularReference;
+exports.findCircularReferences = findCircularReferences;
+exports.findInjectionCycles = findInjectionCycles;
 
 /**
- * Read all js files from given directories and build modules structure.
+ * Read all js files from given directories and build modules structure. Files are parsed, not executed, so code touching
+ * browser globals does not prevent modules discovery.
  * @param dirs {string[]} directories containig .js files to look for modules/providers/... declarations
  * @param filePathMapper {function(string, string):string=} function that maps given filename in given directory to new filename which is saved in structure
- * depends on injected service's module; <i>validateProviderConstructor == false</i> disables this check
+ * @param cache {AnalysisCache=} only files changed since cache was saved are analysed
  * @returns {ModulesStructure} modules description by names
  */
-function buildModulesStructure(dirs, filePathMapper) {
-    var modulesStructure = {};
-
-    var currentFileName, currentFileSize;
-    var angularModuleSandbox = buildAngularModuleSandbox(modulesStructure,
-                                                         function() { return currentFileName },
-                                                         function() { return currentFileSize });
-
-    dirs.forEach(function(dir) {
-        var pattern = dir + (dir.substr(dir.length - 1) === '/' ? '' : '/') + '**/*.js';
-        var filenames = glob.sync(pattern);
-        console.log("Process path [" + dir + "], found " + filenames.length + " js files");
-
-        filenames.forEach(function(filename) {
-            var file = fs.readFileSync(filename) + '';
-            currentFileName = filePathMapper ? filePathMapper(filename, dir) : filename;
-            currentFileSize = Math.ceil(fs.statSync(filename).size / 1024.0);
-
-            try {
-                vm.runInContext(file, angularModuleSandbox);
-            } catch (e) {
-                // do nothing - we are interested only in angular.module calls
+function buildModulesStructure(dirs, filePathMapper, cache) {
+    var collector = new ModulesCollector(dirs, filePathMapper, cache);
+    collector.update();
+
+    return collector.modules;
+}
+
+/**
+ * Keeps analysis results of every js file in given directories, so modules structure may be rebuilt after re-analysing
+ * only added or changed files.
+ * @param dirs {string[]} directories containig .js files to look for modules/providers/... declarations
+ * @param filePathMapper {function(string, string):string=} function that maps given filename in given directory to new filename which is saved in structure
+ * @param cache {AnalysisCache=} analysis results are loaded from it before first scan and saved to it after every change
+ * @param log {function(string)=} writer of progress messages, console.log by default
+ * @constructor
+ */
+function ModulesCollector(dirs, filePathMapper, cache, log) {
+    var self = this;
+    var initialized = false;
+    log = log || console.log;
+
+    /**
+     * Analysed files by real paths, in directories scan order
+     * @type {Object<string, AnalyzedFile>}
+     */
+    this.files = cache ? cache.load() : {};
+
+    /**
+     * @type {ModulesStructure}
+     */
+    this.modules = {};
+
+    /**
+     * Problems found by files analysis and while merging files into modules structure
+     * @type {Diagnostic[]}
+     */
+    this.diagnostics = [];
+
+    /**
+     * Scan directories, analyse added and changed files, forget deleted ones and rebuild modules structure if anything changed
+     * @returns {FilesChanges}
+     */
+    this.update = function() {
+        var changes = new FilesChanges();
+        var files = {};
+        var touched = false;
+
+        dirs.forEach(function(dir) {
+            var pattern = dir + (dir.substr(dir.length - 1) === '/' ? '' : '/') + '**/*.js';
+            var filenames = glob.sync(pattern);
+            if (!initialized) {
+                log("Process path [" + dir + "], found " + filenames.length + " js files");
+            }
+
+            filenames.forEach(function(filename) {
+                var stat = fs.statSync(filename);
+                var known = self.files[filename];
+
+                if (known && known.mtime === stat.mtime.getTime() && known.bytes === stat.size) {
+                    files[filename] = known;
+                    return;
+                }
+
+                var content = fs.readFileSync(filename);
+                var hash = hashContent(content);
+
+                // only touched, e.g. by checkout of another branch
+                if (known && known.bytes === stat.size && known.hash === hash) {
+                    known.mtime = stat.mtime.getTime();
+                    files[filename] = known;
+                    touched = true;
+                    return;
+                }
+
+                (known ? changes.changed : changes.added).push(filename);
+                files[filename] = analyzeFile(filename, filePathMapper ? filePathMapper(filename, dir) : filename, stat,
+                                              content, hash);
+            });
+        });
+
+        Object.keys(self.files).forEach(function(filename) {
+            if (!files[filename]) {
+                changes.removed.push(filename);
+            }
+        });
+
+        self.files = files;
+        if (!initialized || changes.count() > 0) {
+            self.modules = {};
+            self.diagnostics = [];
+            Object.keys(files).forEach(function(filename) {
+                addFileAnalysis(self.modules, files[filename], self.diagnostics);
+            });
+        }
+
+        if (cache && (touched || changes.count() > 0)) {
+            cache.save(files);
+        }
+
+        initialized = true;
+
+        return changes;
+    };
+
+    /**
+     * Rewrite implicitly annotated constructors of analysed files to inline array annotation, ng-annotate style.
+     * Rewritten files are re-analysed on next update.
+     * @returns {string[]} rewritten files
+     */
+    this.annotate = function() {
+        return Object.keys(self.files).filter(function(filename) {
+            var annotations = self.files[filename].analysis.annotations;
+
+            if (annotations.length > 0) {
+                fs.writeFileSync(filename, sourceAnalyzer.annotateSource(fs.readFileSync(filename) + '', annotations));
             }
-        })
+
+            return annotations.length > 0;
+        });
+    };
+}
+
+/**
+ * @param filename {string}
+ * @param importName {string}
+ * @param stat {fs.Stats}
+ * @param content {Buffer}
+ * @param hash {string}
+ * @returns {AnalyzedFile}
+ */
+function analyzeFile(filename, importName, stat, content, hash) {
+    var file = new AnalyzedFile();
+    file.path = filename;
+    file.importName = importName;
+    file.mtime = stat.mtime.getTime();
+    file.bytes = stat.size;
+    file.size = Math.ceil(stat.size / 1024.0);
+    file.hash = hash;
+    file.analysis = sourceAnalyzer.analyzeSource(content + '');
+
+    return file;
+}
+
+/**
+ * @param content {Buffer}
+ * @returns {string}
+ */
+function hashContent(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Build modules structure of installed packages. Only the first of package's files declaring any module is analysed,
+ * others are usually the same code built differently.
+ * @param packages {VendorFile[][]} candidate files of every package
+ * @returns {ModulesStructure} declared vendor modules
+ */
+function buildVendorModules(packages) {
+    var modules = {};
+
+    packages.forEach(function(files) {
+        files.some(function(vendorFile) {
+            var content = fs.readFileSync(vendorFile.path);
+            if (!/angular\s*\.\s*module\s*\(/.test(content)) {
+                return false;
+            }
+
+            var file = analyzeFile(vendorFile.path, vendorFile.importName, fs.statSync(vendorFile.path), content,
+                                   hashContent(content));
+            if (!file.analysis.modules.some(function(reference) { return reference.dependencies })) {
+                return false;
+            }
+
+            // vendor code problems are not ours to fix
+            addFileAnalysis(modules, file, []);
+            return true;
+        });
+    });
+
+    Object.keys(modules).forEach(function(moduleName) {
+        if (modules[moduleName].declarations.length === 0) {
+            delete modules[moduleName];
+        } else {
+            modules[moduleName].vendor = true;
+        }
     });
 
-    return modulesStructure;
+    return modules;
+}
+
+/**
+ * Add vendor modules to modules structure, modules of scanned directories take precedence
+ * @param modules {ModulesStructure}
+ * @param vendorModules {ModulesStructure}
+ * @returns {ModulesStructure} given modules structure
+ */
+function addVendorModules(modules, vendorModules) {
+    Object.keys(vendorModules).forEach(function(moduleName) {
+        if (!modules[moduleName]) {
+            modules[moduleName] = vendorModules[moduleName];
+        }
+    });
+
+    return modules;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @returns {Diagnostic[]} dependencies found neither in scanned directories nor in vendor packages
+ */
+function findUnresolvedModules(modules) {
+    var found = [];
+
+    Object.keys(modules).forEach(function(moduleName) {
+        var module = modules[moduleName];
+        var declaration = module.declarations[0];
+
+        module.dependencies.forEach(function(dep) {
+            if (!modules[dep] && dep !== ngCore.MODULE_NAME) {
+                found.push(diagnostics.createDiagnostic('unresolved-module', "Module " + moduleName + " depends on module " +
+                                                                             dep + " which was not found", {
+                    module: moduleName,
+                    file: declaration && declaration.file,
+                    line: declaration && declaration.line
+                }));
+            }
+        });
+    });
+
+    return found;
 }
 
 /**
  * Builds modules dependencies DOT diagram. It contains declaration all of graph elements and enumeration of all graph edges.
  * @param modules {ModulesStructure}
+ * @param injectionCycles {InjectionCycle[]=} providers injection cycles drawn as separate red clusters
  * @returns {string}
  */
-function buildDOTDiagram(modules) {
+function buildDOTDiagram(modules, injectionCycles) {
     var graph = 'digraph dependencies {\n';
     var localModules = Object.keys(modules);
 
@@ -72,117 +301,461 @@ function buildDOTDiagram(modules) {
             }
         });
     });
+
+    (injectionCycles || []).forEach(function(cycle, index) {
+        graph += '\tsubgraph "cluster_injection_cycle_' + index + '" {\n';
+        graph += '\t\tlabel="injection cycle";\n\t\tcolor=red;\n';
+
+        cycle.chain.slice(0, -1).forEach(function(entry) {
+            graph += '\t\t"provider:' + entry.name + '" [label="' + entry.name + '\\n(' + entry.module + ')", shape=box, color=red];\n';
+        });
+        cycle.chain.slice(1).forEach(function(entry, position) {
+            graph += '\t\t"provider:' + cycle.chain[position].name + '" -> "provider:' + entry.name + '" [color=red];\n';
+        });
+
+        graph += '\t}\n';
+    });
     graph += "\n}";
 
     return graph;
 }
 
 /**
+ * Check that every inject is resolved by angular core, by the module itself, by module it explicitly depends on or is
+ * whitelisted in config.
  * @param modules {ModulesStructure}
- * @returns {string[]}
+ * @param injectsConfig {InjectsConfig=}
+ * @returns {Diagnostic[]}
  */
-function validateInjects(modules) {
+function validateInjects(modules, injectsConfig) {
+    // like services of vendor modules, whitelisted service covers its provider
+    var whitelist = (injectsConfig && injectsConfig.whitelist || []).reduce(function(prev, name) {
+        return prev.concat(/Provider$/.test(name) ? [name] : [name, name + 'Provider']);
+    }, []);
+    var vendor = injectsConfig && injectsConfig.vendor || {};
+
     var moduleByProvider = Object.keys(modules).reduce(function(prev, moduleName) {
         modules[moduleName].providers.forEach(function(provider) {
-            prev[provider.name] = moduleName;
+            getInjectableNames(provider).forEach(function(name) {
+                prev[name] = moduleName;
+            });
         });
 
         return prev;
     }, {});
 
+    Object.keys(vendor).forEach(function(moduleName) {
+        vendor[moduleName].forEach(function(name) {
+            moduleByProvider[name] = moduleName;
+            if (!/Provider$/.test(name)) {
+                moduleByProvider[name + 'Provider'] = moduleName;
+            }
+        });
+    });
+
+    var vendorClosures = {};
     var errors = [];
 
     Object.keys(modules).forEach(function(moduleName) {
         var module = modules[moduleName];
+        if (module.vendor) {
+            return;
+        }
 
         module.providers.forEach(function(provider) {
-            provider.injects.forEach(function(inject) {
-                var moduleDependency = moduleByProvider[inject];
-                var invalidInject = moduleDependency &&
-                                    moduleDependency !== moduleName && !module.dependencies.some(function(depName) {
-                        return depName === moduleDependency
-                    });
-
-                if (invalidInject) {
-                    errors.push("Module " + moduleName + " have provider " + provider.name + " which injects " + inject + " defined in " +
-                                moduleDependency + ", but module " + moduleName + " do not depends on module " + moduleDependency + " explicitly");
-                }
+            provider.injects.concat(provider.controllerInjects).forEach(function(inject) {
+                validateInject(module, moduleName, inject, "provider " + provider.name, provider);
+            });
+        });
+
+        module.blocks.forEach(function(block) {
+            block.injects.forEach(function(inject) {
+                validateInject(module, moduleName, inject, block.recipe + " block", block);
             });
-        })
+        });
     });
 
     return errors;
+
+    /**
+     * @param module {ModuleConfig}
+     * @param moduleName {string}
+     * @param inject {string}
+     * @param subject {string} provider or block injecting it, for messages
+     * @param declaration {ProviderConfig|BlockConfig}
+     */
+    function validateInject(module, moduleName, inject, subject, declaration) {
+        var moduleDependency = moduleByProvider[inject];
+
+        if (!moduleDependency) {
+            if (!ngCore.isCoreInject(inject) && whitelist.indexOf(inject) < 0) {
+                errors.push(createProviderDiagnostic('unknown-provider',
+                                                     "Module " + moduleName + " have " + subject + " which injects " +
+                                                     inject + ", but " + inject + " is not provided by any module",
+                                                     moduleName, declaration));
+            }
+            return;
+        }
+
+        var invalidInject = moduleDependency !== moduleName && !module.dependencies.some(function(depName) {
+            return depName === moduleDependency || listVendorClosure(depName).indexOf(moduleDependency) >= 0;
+        });
+
+        if (invalidInject) {
+            errors.push(createProviderDiagnostic('missing-module-dependency',
+                                                 "Module " + moduleName + " have " + subject + " which injects " +
+                                                 inject + " defined in " + moduleDependency + ", but module " +
+                                                 moduleName + " do not depends on module " + moduleDependency +
+                                                 " explicitly",
+                                                 moduleName, declaration));
+        }
+    }
+
+    /**
+     * Package's internal modules are not expected to be depended on directly, e.g. ui.router brings ui.router.state,
+     * so dependency on vendor module covers everything it depends on
+     * @param moduleName {string}
+     * @returns {string[]} modules vendor module depends on directly or transitively, empty for other modules
+     */
+    function listVendorClosure(moduleName) {
+        if (!modules[moduleName] || !modules[moduleName].vendor) {
+            return [];
+        }
+
+        if (!vendorClosures.hasOwnProperty(moduleName)) {
+            var reached = {};
+            var queue = [moduleName];
+            reached[moduleName] = true;
+
+            for (var i = 0; i < queue.length; i++) {
+                (modules[queue[i]] ? modules[queue[i]].dependencies : []).forEach(function(depName) {
+                    if (!reached[depName]) {
+                        reached[depName] = true;
+                        queue.push(depName);
+                    }
+                });
+            }
+
+            vendorClosures[moduleName] = queue.slice(1);
+        }
+
+        return vendorClosures[moduleName];
+    }
 }
 
 /**
- *
- * @param moduleName {strict}
+ * Config blocks are run before any instance is created, so only providers and constants may be injected into them,
+ * run blocks and decorators are run after providers configuration is over, so providers may not be injected into
+ * them. Injects not known to modules structure or angular core are left to validateInjects.
  * @param modules {ModulesStructure}
- * @returns {strict[]}
+ * @returns {Diagnostic[]}
  */
-function resolveDependencies(moduleName, modules) {
-    if (findCircularReference(modules)) {
-        throw Error("Can not build dependency tree - found circular dependency");
-    }
+function validateInjectionPhases(modules) {
+    var constants = {};
+    var names = {};
 
-    return doResolve([moduleName]);
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].providers.forEach(function(provider) {
+            if (provider.recipe === 'constant') {
+                constants[provider.name] = true;
+            }
+
+            getInjectableNames(provider).forEach(function(name) {
+                names[name] = true;
+            });
+        });
+    });
+
+    var errors = [];
+
+    Object.keys(modules).forEach(function(moduleName) {
+        if (modules[moduleName].vendor) {
+            return;
+        }
+
+        modules[moduleName].blocks.forEach(function(block) {
+            block.injects.forEach(function(inject) {
+                if (!isPhaseChecked(inject)) {
+                    return;
+                }
+
+                var isProvider = /Provider$/.test(inject);
+
+                if (block.recipe === 'config' && !isProvider) {
+                    errors.push(createProviderDiagnostic('injection-phase', "Config block of module " + moduleName +
+                                                                            " injects instance " + inject + ", only " +
+                                                                            "providers and constants are injectable " +
+                                                                            "in config blocks",
+                                                         moduleName, block));
+                } else if (block.recipe === 'run' && isProvider) {
+                    errors.push(createProviderDiagnostic('injection-phase', "Run block of module " + moduleName +
+                                                                            " injects provider " + inject + ", only " +
+                                                                            "instances and constants are injectable " +
+                                                                            "in run blocks",
+                                                         moduleName, block));
+                }
+            });
+        });
 
-    function doResolve(deps) {
-        return deps.reduce(function(prev, dep) {
-            if (modules[dep]) {
-                prev = prev.concat(doResolve(modules[dep].dependencies));
-                prev.push(dep);
+        modules[moduleName].providers.forEach(function(provider) {
+            if (provider.recipe !== 'decorator') {
+                return;
             }
 
-            return prev;
-        }, []).filter(function dropDuplicates(element, index, array) {
-            return index === array.indexOf(element);
+            provider.injects.forEach(function(inject) {
+                if (isPhaseChecked(inject) && /Provider$/.test(inject)) {
+                    errors.push(createProviderDiagnostic('injection-phase', "Decorator of " + provider.name +
+                                                                            " in module " + moduleName + " injects " +
+                                                                            "provider " + inject + ", only instances " +
+                                                                            "and constants are injectable in decorators",
+                                                         moduleName, provider));
+                }
+            });
         });
+    });
+
+    return errors;
+
+    /**
+     * @param inject {string}
+     * @returns {boolean} whether inject is known and its phase matters
+     */
+    function isPhaseChecked(inject) {
+        var known = names[inject] || ngCore.isCoreInject(inject);
+        return !!known && !constants[inject] && ngCore.INJECTOR.indexOf(inject) < 0;
     }
 }
 
 /**
+ * Check that service, filter or directive of every decorator is defined by app the decorator is loaded by
  * @param modules {ModulesStructure}
- * @returns {string[]} module names trail containig circular reference
+ * @param appNames {string[]} ng-app modules
+ * @param injectsConfig {InjectsConfig=} whitelisted and vendor names are treated as defined by every app
+ * @returns {Diagnostic[]}
  */
-function findCircularReference(modules) {
-    var modulesNames = Object.keys(modules);
-
-    for (var i = 0; i < modulesNames.length; i++) {
-        try {
-            doFind(modulesNames[i], []);
-        } catch (e) {
-            if (e instanceof CRef) {
-                return e.trail;
-            } else {
-                throw e;
+function validateDecorators(modules, appNames, injectsConfig) {
+    var external = (injectsConfig && injectsConfig.whitelist || []).slice();
+    var vendor = injectsConfig && injectsConfig.vendor || {};
+    Object.keys(vendor).forEach(function(moduleName) {
+        external = external.concat(vendor[moduleName]);
+    });
+
+    var reported = {};
+    var errors = [];
+
+    appNames.forEach(function(appName) {
+        var scope = resolveDependencies(appName, modules);
+
+        var defined = scope.reduce(function(prev, moduleName) {
+            modules[moduleName].providers.forEach(function(provider) {
+                getInjectableNames(provider).forEach(function(name) {
+                    prev[name] = true;
+                });
+            });
+
+            return prev;
+        }, {});
+
+        scope.forEach(function(moduleName) {
+            if (modules[moduleName].vendor) {
+                return;
             }
-        }
+
+            modules[moduleName].providers.forEach(function(provider) {
+                var target = provider.name;
+                var key = provider.file + ':' + provider.line;
+
+                // core directives are not listed in ngCore, ngClick and the like are trusted
+                if (provider.recipe !== 'decorator' || defined[target] || ngCore.isCoreInject(target) ||
+                    /^ng[A-Z]\w*Directive$/.test(target) || external.indexOf(target) >= 0 || reported[key]) {
+                    return;
+                }
+
+                reported[key] = true;
+                errors.push(createProviderDiagnostic('unknown-decorated-service', "Module " + moduleName + " decorates " +
+                                                                                  target + ", but " + target + " is not " +
+                                                                                  "defined by any module of app " + appName,
+                                                     moduleName, provider));
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Angular injector is shared by all modules of an app, so provider registered under the same name by another module
+ * silently replaces the one registered before it. Directives and components are not replaced, all of them registered
+ * under the same name are applied to the same elements.
+ * @param modules {ModulesStructure}
+ * @param appNames {string[]} ng-app modules
+ * @returns {Diagnostic[]} collision of every provider with the one registered before it, collision shared by several
+ * apps is reported once, directives of the same module are reported as duplicate declarations
+ */
+function findProviderCollisions(modules, appNames) {
+    var reported = {};
+    var collisions = [];
+
+    appNames.forEach(function(appName) {
+        var registered = {};
+
+        resolveDependencies(appName, modules).forEach(function(moduleName) {
+            modules[moduleName].providers.forEach(function(provider) {
+                var name = getInjectableNames(provider)[0];
+                if (!name) {
+                    return;
+                }
+
+                var previous = registered[name];
+                registered[name] = {module: moduleName, provider: provider};
+
+                if (!previous || previous.module === moduleName) {
+                    return;
+                }
+
+                var key = [provider.file, provider.line, previous.provider.file, previous.provider.line].join(':');
+                if (reported[key]) {
+                    return;
+                }
+                reported[key] = true;
+
+                var location = " of module " + previous.module + " (" + previous.provider.file + ":" +
+                               previous.provider.line + ")";
+                var message = isDirective(provider) && isDirective(previous.provider) ?
+                              "Directive " + provider.name + " of module " + moduleName + " and directive " +
+                              previous.provider.name + location + " are both applied in app " + appName :
+                              "Provider " + provider.name + " of module " + moduleName + " replaces " +
+                              previous.provider.name + location + " in app " + appName;
+
+                collisions.push(createProviderDiagnostic('provider-name-collision', message, moduleName, provider));
+            });
+        });
+    });
+
+    return collisions;
+}
+
+/**
+ * @param code {string}
+ * @param message {string}
+ * @param moduleName {string}
+ * @param provider {ProviderConfig|BlockConfig} blocks have no name
+ * @returns {Diagnostic}
+ */
+function createProviderDiagnostic(code, message, moduleName, provider) {
+    return diagnostics.createDiagnostic(code, message, {
+        module: moduleName,
+        provider: provider.name,
+        file: provider.file,
+        line: provider.line
+    });
+}
+
+/**
+ * @param provider {ProviderConfig|ProviderDeclaration}
+ * @returns {boolean} whether given provider registers directive or component
+ */
+function isDirective(provider) {
+    return DIRECTIVE_RECIPES.indexOf(provider.recipe) >= 0;
+}
+
+/**
+ * @param provider {ProviderConfig|ProviderDeclaration}
+ * @returns {?string} name given provider is registered under, null for decorators and routes which do not replace
+ * each other
+ */
+function getRegistrationKey(provider) {
+    if (provider.recipe === 'decorator' || provider.recipe === 'route') {
+        return null;
     }
 
-    /**
-     * @param module {string}
-     * @param trail {string[]}
-     */
-    function doFind(module, trail) {
-        if (trail.indexOf(module) >= 0) {
-            throw new CRef(trail.concat(module));
-        } else {
-            var deps = modules[module].dependencies;
+    return getInjectableNames(provider)[0] || provider.recipe + ' ' + provider.name;
+}
 
-            if (deps.length > 0) {
-                deps.forEach(function(dep) {
-                    if (modules[dep]) {
-                        doFind(dep, trail.concat(module));
-                    }
-                })
-            }
-        }
+/**
+ * @param provider {ProviderConfig}
+ * @returns {string[]} names given provider may be injected by
+ */
+function getInjectableNames(provider) {
+    switch (provider.recipe) {
+        case 'provider':
+        case 'constant':
+            return [provider.name];
+        case 'factory':
+        case 'service':
+        case 'value':
+            return [provider.name, provider.name + 'Provider'];
+        case 'filter':
+            return [provider.name + 'Filter'];
+        case 'directive':
+        case 'component':
+            return [provider.name + 'Directive'];
+        default:
+            return [];
     }
+}
+
+/**
+ * @param moduleName {string}
+ * @param modules {ModulesStructure}
+ * @returns {string[]} given module and all its dependencies in import order
+ */
+function resolveDependencies(moduleName, modules) {
+    return getDependencyGraph(modules).resolve(moduleName);
+}
 
-    function CRef(trail) {
-        this.trail = trail;
+/**
+ * @param modules {ModulesStructure}
+ * @returns {string[][]} module names trails of every circular reference, one for each strongly connected component
+ */
+function findCircularReferences(modules) {
+    return getDependencyGraph(modules).cycles;
+}
+
+/**
+ * Find providers injecting each other directly or through other providers, which angular injector fails to instantiate
+ * @param modules {ModulesStructure}
+ * @returns {InjectionCycle[]} one cycle for each group of providers depending on each other
+ */
+function findInjectionCycles(modules) {
+    var nodes = {};
+    var providers = {};
+
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].providers.forEach(function(provider) {
+            // injecting xProvider of factory/service/value does not instantiate it, so only primary name is followed
+            var name = getInjectableNames(provider)[0];
+
+            if (name && !nodes[name]) {
+                nodes[name] = {dependencies: provider.injects};
+                providers[name] = new InjectionCycleEntry(name, moduleName, provider);
+            }
+        });
+    });
+
+    return dependencyGraph.findCycles(nodes).map(function(trail) {
+        var cycle = new InjectionCycle();
+        cycle.chain = trail.map(function(name) {
+            return providers[name];
+        });
+
+        return cycle;
+    });
+}
+
+/**
+ * Graph of the last modules structure only is kept, recognized by identity of structure object, so cycles are searched
+ * once and every module is sorted once per structure. Modules structure is expected to be rebuilt, not modified in
+ * place, when dependencies change.
+ * @param modules {ModulesStructure}
+ * @returns {DependencyGraph}
+ */
+function getDependencyGraph(modules) {
+    if (!lastGraph || lastGraph.modules !== modules) {
+        lastGraph = new dependencyGraph.DependencyGraph(modules);
     }
+
+    return lastGraph;
 }
 
 function ModuleConfig() {
@@ -197,14 +770,51 @@ function ModuleConfig() {
     this.files = [];
 
     /**
+     * Real paths of module's files
+     * @type {Object<string, string>}
+     */
+    this.sources = {};
+
+    /**
+     * Sum of files sizes rounded up to KB each
      * @type {number}
      */
     this.size = 0;
 
+    /**
+     * Exact sum of files sizes
+     * @type {number}
+     */
+    this.bytes = 0;
+
     /**
      * @type {ProviderConfig[]}
      */
     this.providers = [];
+
+    /**
+     * Config and run blocks
+     * @type {BlockConfig[]}
+     */
+    this.blocks = [];
+
+    /**
+     * templateUrl values used in module's files
+     * @type {string[]}
+     */
+    this.templateUrls = [];
+
+    /**
+     * Locations of all angular.module(name, dependencies) calls
+     * @type {SourceLocation[]}
+     */
+    this.declarations = [];
+
+    /**
+     * Module is declared by installed package, not by scanned directories
+     * @type {boolean}
+     */
+    this.vendor = false;
 }
 
 function ProviderConfig() {
@@ -213,128 +823,282 @@ function ProviderConfig() {
      */
     this.name = null;
 
+    /**
+     * provider, factory, service, value, constant, controller, directive, component, filter, animation, decorator,
+     * or route for controllers of routes and states
+     * @type {string}
+     */
+    this.recipe = null;
+
     /**
      * @type {string[]}
      */
     this.injects = [];
+
+    /**
+     * Injects of directive, component or route controller
+     * @type {string[]}
+     */
+    this.controllerInjects = [];
+
+    /**
+     * @type {string}
+     */
+    this.file = null;
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+function BlockConfig() {
+    /**
+     * config or run
+     * @type {string}
+     */
+    this.recipe = null;
+
+    /**
+     * @type {string[]}
+     */
+    this.injects = [];
+
+    /**
+     * @type {string}
+     */
+    this.file = null;
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+function InjectionCycle() {
+    /**
+     * Providers trail starting and ending with the same provider
+     * @type {InjectionCycleEntry[]}
+     */
+    this.chain = [];
 }
 
 /**
- * @param modules {ModulesStructure}
- * @param getFileNameFn {function():string}
- * @param getFileSizeFn {function():number}
- * @returns {Object}
+ * @param name {string} injectable name
+ * @param module {string}
+ * @param provider {ProviderConfig}
+ * @constructor
  */
-function buildAngularModuleSandbox(modules, getFileNameFn, getFileSizeFn) {
-    var sandbox = {};
-    var currentModuleName = null;
+function InjectionCycleEntry(name, module, provider) {
+    /**
+     * @type {string}
+     */
+    this.name = name;
 
-    sandbox.angular = {};
-    sandbox.angular.module = function(name, dependencies) {
-        var module = modules[name] || (modules[name] = new ModuleConfig());
+    /**
+     * @type {string}
+     */
+    this.module = module;
 
-        if (dependencies) {
-            module.dependencies = dependencies;
-        }
+    /**
+     * @type {string}
+     */
+    this.file = provider.file;
 
-        if (module.files.indexOf(getFileNameFn()) < 0) {
-            if (dependencies) { //module declaration - put it before other module's files
-                module.files = [getFileNameFn()].concat(module.files);
-            } else {
-                module.files.push(getFileNameFn());
-            }
+    /**
+     * @type {number}
+     */
+    this.line = provider.line;
+}
 
-            module.size += getFileSizeFn();
-        }
+function AnalyzedFile() {
+    /**
+     * @type {string}
+     */
+    this.path = null;
 
-        currentModuleName = name;
+    /**
+     * @type {string}
+     */
+    this.importName = null;
 
-        return sandbox.angular.module;
-    };
+    /**
+     * @type {number}
+     */
+    this.mtime = 0;
 
-    sandbox.angular.module.provider = function(name, constructor) {
-        var isArrayConstructor = util.isArray(constructor);
-        if (isArrayConstructor) {
-            validateConstructor(name + 'Provider', constructor);
-        }
+    /**
+     * @type {number}
+     */
+    this.bytes = 0;
 
-        var serviceConstructor = isArrayConstructor ? constructor[constructor.length - 1] : constructor;
+    /**
+     * KB
+     * @type {number}
+     */
+    this.size = 0;
 
-        try {
-            var constructed = new serviceConstructor();
-        } catch (e) {
-            console.error("Unable to create provider in file " + getFileNameFn() + ". Possible name is " + name + '. Error: ' + e);
-            return;
-        }
+    /**
+     * md5 of content
+     * @type {string}
+     */
+    this.hash = null;
 
-        if (!constructed.$get) {
-            console.error("Provider " + name + " is missing $get field");
-            return;
-        } else if (Object.keys(constructed.$get).length === 0) {
-            // provider not creating service explicitly
-            return;
-        }
+    /**
+     * Plain data, so analysed file may be kept in AnalysisCache
+     * @type {FileAnalysis}
+     */
+    this.analysis = null;
+}
 
-        validateConstructor(name, constructed.$get);
-    };
-    sandbox.angular.module.factory = function(name, constructor) {
-        validateConstructor(name, constructor);
-    };
-    sandbox.angular.module.service = function(name, constructor) {
-        validateConstructor(name, constructor);
-    };
-    sandbox.angular.module.value = function(name, instance) {
-    };
-    sandbox.angular.module.constant = function(name, instance) {
-    };
-    sandbox.angular.module.decorator = function() {
-    };
-    sandbox.angular.module.animation = function() {
-    };
-    sandbox.angular.module.filter = function() {
-    };
-    sandbox.angular.module.controller = function(name, constructor) {
-        validateConstructor(name, constructor);
-    };
-    sandbox.angular.module.directive = function(name, constructor) {
-        validateConstructor(name, constructor);
-    };
-    sandbox.angular.module.config = function() {
-        return sandbox.angular.module;
-    };
-    sandbox.angular.module.run = function() {
-        return sandbox.angular.module;
+function FilesChanges() {
+    /**
+     * @type {string[]}
+     */
+    this.added = [];
+
+    /**
+     * @type {string[]}
+     */
+    this.changed = [];
+
+    /**
+     * @type {string[]}
+     */
+    this.removed = [];
+
+    /**
+     * @returns {number}
+     */
+    this.count = function() {
+        return this.added.length + this.changed.length + this.removed.length;
     };
+}
 
-    return vm.createContext(sandbox);
+/**
+ * @param file {string}
+ * @param line {number}
+ * @constructor
+ */
+function SourceLocation(file, line) {
+    /**
+     * @type {string}
+     */
+    this.file = file;
 
-    function validateConstructor(name, constructor) {
-        var isArrayMinifyReadyConstructor = util.isArray(constructor);
-        var isFunctionMinifyReadyConstructor = (typeof constructor === 'function') && constructor.length === 0;
+    /**
+     * @type {number}
+     */
+    this.line = line;
+}
 
-        if (!isArrayMinifyReadyConstructor && !isFunctionMinifyReadyConstructor) {
-            console.error("Some provider in file " + getFileNameFn() + " is not minify-ready. Possible name is " + name);
-            return;
+/**
+ * Merge everything single file contributes into modules structure
+ * @param modules {ModulesStructure}
+ * @param file {AnalyzedFile}
+ * @param problems {Diagnostic[]} analysis and merge problems are appended to it
+ */
+function addFileAnalysis(modules, file, problems) {
+    var analysis = file.analysis;
+    var filename = file.path;
+    var importName = file.importName;
+
+    analysis.problems.forEach(function(problem) {
+        problems.push(diagnostics.createDiagnostic(problem.code, problem.message, {
+            module: problem.module,
+            provider: problem.provider,
+            file: filename,
+            line: problem.line
+        }));
+    });
+
+    analysis.modules.forEach(function(reference) {
+        var module = modules[reference.name] || (modules[reference.name] = new ModuleConfig());
+
+        if (reference.dependencies) {
+            var previous = module.declarations[module.declarations.length - 1];
+            if (previous) {
+                problems.push(diagnostics.createDiagnostic('duplicate-module', "Module " + reference.name +
+                                                                               " is already defined in " + previous.file +
+                                                                               ":" + previous.line + ", this definition replaces it", {
+                    module: reference.name,
+                    file: filename,
+                    line: reference.line
+                }));
+            }
+
+            module.dependencies = reference.dependencies;
+            module.declarations.push(new SourceLocation(filename, reference.line));
         }
 
-        if (!currentModuleName) {
-            console.error("Provider " + name + " is defined before it's module");
-            return;
+        if (module.files.indexOf(importName) < 0) {
+            if (reference.dependencies) { //module declaration - put it before other module's files
+                module.files = [importName].concat(module.files);
+            } else {
+                module.files.push(importName);
+            }
+
+            module.size += file.size;
+            module.bytes += file.bytes;
+            module.sources[importName] = filename;
         }
 
-        var module = modules[currentModuleName];
-        if (module.providers.some(function(provider) { return provider.name === name })) {
-            console.error("Duplicate declaration of " + name);
-            return;
+        analysis.templateUrls.forEach(function(reference) {
+            if (module.templateUrls.indexOf(reference.url) < 0) {
+                module.templateUrls.push(reference.url);
+            }
+        });
+    });
+
+    analysis.providers.forEach(function(declaration) {
+        var module = modules[declaration.module];
+        var key = getRegistrationKey(declaration);
+
+        if (key && module.providers.some(function(provider) { return getRegistrationKey(provider) === key })) {
+            // every directive registered under the same name is applied, so it is kept unlike replaced provider
+            var applied = isDirective(declaration);
+            var message = "Duplicate declaration of " + declaration.name +
+                          (applied ? ", both directives are applied" : "");
+
+            problems.push(diagnostics.createDiagnostic('duplicate-provider', message, {
+                module: declaration.module,
+                provider: declaration.name,
+                file: filename,
+                line: declaration.line
+            }));
+
+            if (!applied) {
+                return;
+            }
         }
 
         var config = new ProviderConfig();
-        config.name = name;
-        config.injects = isArrayMinifyReadyConstructor ? constructor.slice(0, constructor.length - 1) : [];
+        config.name = declaration.name;
+        config.recipe = declaration.recipe;
+        config.injects = declaration.injects;
+        config.controllerInjects = declaration.controllerInjects;
+        config.file = filename;
+        config.line = declaration.line;
         module.providers.push(config);
-    }
+    });
+
+    analysis.blocks.forEach(function(declaration) {
+        var config = new BlockConfig();
+        config.recipe = declaration.recipe;
+        config.injects = declaration.injects;
+        config.file = filename;
+        config.line = declaration.line;
+        modules[declaration.module].blocks.push(config);
+    });
 }
 
 /**
  * @typedef {Object<string, ModuleConfig>} ModulesStructure
+ */
+
+/**
+ * @typedef {Object} InjectsConfig
+ * @property {string[]=} whitelist injects which are provided outside of scanned modules, xProvider of every listed x
+ * included
+ * @property {Object<string, string[]>=} vendor names provided by vendor modules by module name
  */
\ No newline at end of file
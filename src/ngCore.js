@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Name of angular core module, every app depends on it implicitly
+ * @type {string}
+ */
+var MODULE_NAME = 'ng';
+
+/**
+ * Services provided by angular core 'ng' module. Each of them except $injector and $provide has xxxProvider.
+ * @type {string[]}
+ */
+var SERVICES = ['$anchorScroll', '$animate', '$animateCss', '$cacheFactory', '$compile', '$controller', '$document',
+                '$exceptionHandler', '$filter', '$http', '$httpBackend', '$httpParamSerializer',
+                '$httpParamSerializerJQLike', '$interpolate', '$interval', '$jsonpCallbacks', '$locale', '$location',
+                '$log', '$parse', '$q', '$rootElement', '$rootScope', '$sce', '$sceDelegate', '$templateCache',
+                '$templateRequest', '$timeout', '$window', '$xhrFactory', '$$animateJs', '$$asyncCallback', '$$rAF',
+                '$$q', '$$jqLite', '$$sanitizeUri', '$$testability', '$$cookieReader'];
+
+/**
+ * Injector built-ins available in any phase
+ * @type {string[]}
+ */
+var INJECTOR = ['$injector', '$provide'];
+
+/**
+ * Filters provided by angular core, injectable as xxxFilter
+ * @type {string[]}
+ */
+var FILTERS = ['currency', 'date', 'filter', 'json', 'limitTo', 'lowercase', 'number', 'orderBy', 'uppercase'];
+
+/**
+ * Locals injected into controllers, directive controllers and decorators instead of registered providers
+ * @type {string[]}
+ */
+var LOCALS = ['$scope', '$element', '$attrs', '$transclude', '$delegate'];
+
+exports.MODULE_NAME = MODULE_NAME;
+exports.SERVICES = SERVICES;
+exports.INJECTOR = INJECTOR;
+exports.FILTERS = FILTERS;
+exports.LOCALS = LOCALS;
+
+exports.isCoreInject = isCoreInject;
+
+/**
+ * @param inject {string}
+ * @returns {boolean} true if given name is resolved by angular core without any module declaring it
+ */
+function isCoreInject(inject) {
+    if (SERVICES.indexOf(inject) >= 0 || INJECTOR.indexOf(inject) >= 0 || LOCALS.indexOf(inject) >= 0) {
+        return true;
+    }
+
+    var providerMatch = inject.match(/^(.+)Provider$/);
+    if (providerMatch) {
+        return SERVICES.indexOf(providerMatch[1]) >= 0;
+    }
+
+    var filterMatch = inject.match(/^(.+)Filter$/);
+    if (filterMatch) {
+        return FILTERS.indexOf(filterMatch[1]) >= 0;
+    }
+
+    return false;
+}
\ No newline at end of file
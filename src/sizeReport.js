@@ -0,0 +1,350 @@
+'use strict';
+
+var fs = require('fs');
+var zlib = require('zlib');
+var modulesBuilder = require('./modulesBuilder');
+var importsWriter = require('./importsWriter');
+var diagnostics = require('./diagnostics');
+
+/**
+ * @typedef {Object} SizeBudget
+ * @property {number=} bytes
+ * @property {number=} gzip
+ */
+
+/**
+ * @typedef {Object} BudgetsConfig
+ * @property {Object<string, SizeBudget>=} apps budgets of ng-app modules with all dependencies and static imports
+ * @property {Object<string, SizeBudget>=} modules budgets of single modules
+ */
+
+exports.measureFiles = measureFiles;
+exports.buildSizeReport = buildSizeReport;
+exports.checkBudgets = checkBudgets;
+exports.compareSizes = compareSizes;
+
+/**
+ * @param report {SizeReport}
+ * @returns {string}
+ */
+exports.printSizeReport = function(report) {
+    var lines = [];
+
+    lines.push("Apps:");
+    report.apps.forEach(function(appSize) {
+        lines.push("    " + appSize.app + " (" + appSize.html + "): " + appSize.bytes + " bytes, " + appSize.gzip + " gzipped" +
+                   " - modules " + appSize.modulesBytes + " bytes, static " + appSize.staticBytes + " bytes");
+    });
+    lines.push('');
+    lines.push("Modules:");
+    report.modules.forEach(function(moduleSize) {
+        lines.push("    " + moduleSize.name + ": " + moduleSize.bytes + " bytes, " + moduleSize.gzip + " gzipped");
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * @param comparison {SizeComparison}
+ * @returns {string}
+ */
+exports.printSizeComparison = function(comparison) {
+    var lines = ["Modules size " + comparison.before + " -> " + comparison.after + " bytes (" + printDelta(comparison.delta) + ")"];
+
+    comparison.modules.forEach(function(change) {
+        lines.push("    " + change.name + ": " + change.before + " -> " + change.after + " bytes (" + printDelta(change.delta) + ")");
+    });
+
+    return lines.join('\n');
+
+    function printDelta(delta) {
+        return (delta > 0 ? '+' : '') + delta;
+    }
+};
+
+/**
+ * @param paths {string[]} real files paths, missing files are skipped
+ * @returns {FilesSize} size of files and gzip size of their concatenation
+ */
+function measureFiles(paths) {
+    var contents = paths
+        .filter(function(filePath) {
+            return filePath && fs.existsSync(filePath);
+        })
+        .map(function(filePath) {
+            return fs.readFileSync(filePath);
+        });
+
+    var size = new FilesSize();
+    size.bytes = contents.reduce(function(prev, content) {
+        return prev + content.length;
+    }, 0);
+    size.gzip = contents.length > 0 ? zlib.gzipSync(Buffer.concat(contents)).length : 0;
+
+    return size;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param entryPoints {Object<string, string>} ng-app module names by html file paths
+ * @param staticFiles {string[]} files of static imports, shared by all html files
+ * @returns {SizeReport}
+ */
+function buildSizeReport(modules, entryPoints, staticFiles) {
+    var report = new SizeReport();
+
+    report.modules = Object.keys(modules).map(function(moduleName) {
+        var size = measureFiles(listModulePaths([moduleName], modules));
+
+        var moduleSize = new ModuleSize();
+        moduleSize.name = moduleName;
+        moduleSize.bytes = size.bytes;
+        moduleSize.gzip = size.gzip;
+
+        return moduleSize;
+    });
+
+    var staticSize = measureFiles(staticFiles);
+
+    report.apps = Object.keys(entryPoints).map(function(htmlFilePath) {
+        var appName = entryPoints[htmlFilePath];
+        var modulesPaths = listModulePaths(modulesBuilder.resolveDependencies(appName, modules), modules);
+        var size = measureFiles(staticFiles.concat(modulesPaths));
+
+        var appSize = new AppSize();
+        appSize.app = appName;
+        appSize.html = htmlFilePath;
+        appSize.bytes = size.bytes;
+        appSize.gzip = size.gzip;
+        appSize.staticBytes = staticSize.bytes;
+        appSize.modulesBytes = size.bytes - staticSize.bytes;
+
+        return appSize;
+    });
+
+    return report;
+}
+
+/**
+ * @param report {SizeReport}
+ * @param budgets {BudgetsConfig}
+ * @param modules {ModulesStructure}
+ * @returns {Diagnostic[]}
+ */
+function checkBudgets(report, budgets, modules) {
+    var found = [];
+
+    report.apps.forEach(function(appSize) {
+        var budget = budgets.apps && budgets.apps[appSize.app];
+
+        checkBudget(budget, appSize, 'app-budget', "App " + appSize.app + " of " + appSize.html, {
+            module: appSize.app,
+            file: appSize.html
+        });
+    });
+
+    report.modules.forEach(function(moduleSize) {
+        var budget = budgets.modules && budgets.modules[moduleSize.name];
+        var declaration = modules[moduleSize.name].declarations[0];
+
+        checkBudget(budget, moduleSize, 'module-budget', "Module " + moduleSize.name, {
+            module: moduleSize.name,
+            file: declaration && declaration.file,
+            line: declaration && declaration.line
+        });
+    });
+
+    return found;
+
+    /**
+     * @param budget {SizeBudget=}
+     * @param size {{bytes: number, gzip: number}}
+     * @param code {string}
+     * @param subject {string}
+     * @param details {Object}
+     */
+    function checkBudget(budget, size, code, subject, details) {
+        if (budget && budget.bytes && size.bytes > budget.bytes) {
+            found.push(diagnostics.createDiagnostic(code, subject + " is " + size.bytes + " bytes, budget is " +
+                                                          budget.bytes + " bytes", details));
+        }
+        if (budget && budget.gzip && size.gzip > budget.gzip) {
+            found.push(diagnostics.createDiagnostic(code, subject + " is " + size.gzip + " bytes gzipped, budget is " +
+                                                          budget.gzip + " bytes", details));
+        }
+    }
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @param savedModules {ModulesStructure} modules structure previously saved to .modules.json
+ * @returns {SizeComparison}
+ */
+function compareSizes(modules, savedModules) {
+    var comparison = new SizeComparison();
+    var names = Object.keys(savedModules).concat(Object.keys(modules).filter(function(name) {
+        return !savedModules.hasOwnProperty(name);
+    }));
+
+    names.forEach(function(name) {
+        var change = new SizeChange();
+        change.name = name;
+        change.before = savedModules[name] ? getBytes(savedModules[name]) : 0;
+        change.after = modules[name] ? modules[name].bytes : 0;
+        change.delta = change.after - change.before;
+
+        comparison.before += change.before;
+        comparison.after += change.after;
+
+        if (change.delta !== 0) {
+            comparison.modules.push(change);
+        }
+    });
+
+    comparison.delta = comparison.after - comparison.before;
+    comparison.modules.sort(function(a, b) {
+        return Math.abs(b.delta) - Math.abs(a.delta);
+    });
+
+    return comparison;
+
+    /**
+     * @param module {ModuleConfig}
+     * @returns {number} exact size, KB size for structures saved before exact sizes were kept
+     */
+    function getBytes(module) {
+        return module.bytes !== undefined ? module.bytes : module.size * 1024;
+    }
+}
+
+/**
+ * @param moduleNames {string[]}
+ * @param modules {ModulesStructure}
+ * @returns {string[]} real paths of given modules files in import order
+ */
+function listModulePaths(moduleNames, modules) {
+    return moduleNames.reduce(function(prev, moduleName) {
+        return prev.concat(importsWriter.listModulesFiles([moduleName], modules).map(function(file) {
+            return modules[moduleName].sources[file];
+        }));
+    }, []);
+}
+
+function FilesSize() {
+    /**
+     * @type {number}
+     */
+    this.bytes = 0;
+
+    /**
+     * @type {number}
+     */
+    this.gzip = 0;
+}
+
+function SizeReport() {
+    /**
+     * @type {AppSize[]}
+     */
+    this.apps = [];
+
+    /**
+     * @type {ModuleSize[]}
+     */
+    this.modules = [];
+}
+
+function AppSize() {
+    /**
+     * @type {string}
+     */
+    this.app = null;
+
+    /**
+     * @type {string}
+     */
+    this.html = null;
+
+    /**
+     * All modules and static imports
+     * @type {number}
+     */
+    this.bytes = 0;
+
+    /**
+     * @type {number}
+     */
+    this.gzip = 0;
+
+    /**
+     * @type {number}
+     */
+    this.modulesBytes = 0;
+
+    /**
+     * @type {number}
+     */
+    this.staticBytes = 0;
+}
+
+function ModuleSize() {
+    /**
+     * @type {string}
+     */
+    this.name = null;
+
+    /**
+     * @type {number}
+     */
+    this.bytes = 0;
+
+    /**
+     * @type {number}
+     */
+    this.gzip = 0;
+}
+
+function SizeComparison() {
+    /**
+     * Changed, added and removed modules, largest changes first
+     * @type {SizeChange[]}
+     */
+    this.modules = [];
+
+    /**
+     * @type {number}
+     */
+    this.before = 0;
+
+    /**
+     * @type {number}
+     */
+    this.after = 0;
+
+    /**
+     * @type {number}
+     */
+    this.delta = 0;
+}
+
+function SizeChange() {
+    /**
+     * @type {string}
+     */
+    this.name = null;
+
+    /**
+     * @type {number}
+     */
+    this.before = 0;
+
+    /**
+     * @type {number}
+     */
+    this.after = 0;
+
+    /**
+     * @type {number}
+     */
+    this.delta = 0;
+}
\ No newline at end of file
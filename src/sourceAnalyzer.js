@@ -0,0 +1,937 @@
+'use strict';
+
+var esprima = require('esprima');
+
+exports.analyzeSource = analyzeSource;
+exports.annotateSource = annotateSource;
+exports.FileAnalysis = FileAnalysis;
+
+/**
+ * Module recipes which return module instance and so may be chained
+ * @type {string[]}
+ */
+var CHAINABLE_RECIPES = ['provider', 'factory', 'service', 'value', 'constant', 'decorator', 'animation', 'filter',
+                         'controller', 'directive', 'component', 'config', 'run'];
+
+/**
+ * Module recipes whose constructors are validated and recorded as providers
+ * @type {string[]}
+ */
+var PROVIDER_RECIPES = ['provider', 'factory', 'service', 'value', 'constant', 'controller', 'directive', 'component',
+                        'filter', 'animation', 'decorator'];
+
+/**
+ * Module recipes registering config and run blocks, which have injects but no name
+ * @type {string[]}
+ */
+var BLOCK_RECIPES = ['config', 'run'];
+
+/**
+ * Route definition methods of $routeProvider and ui-router $stateProvider
+ * @type {string[]}
+ */
+var ROUTE_METHODS = ['when', 'state'];
+
+/**
+ * Module recipes registering ready instances, which have no constructor to validate
+ * @type {string[]}
+ */
+var INSTANCE_RECIPES = ['value', 'constant'];
+
+/**
+ * Parse given source and collect angular modules declarations, references and providers without executing it.
+ * Handles chained calls, module aliases (<i>var app = angular.module('x')</i>) scoped to functions declaring them and IIFE
+ * wrappers.
+ * @param source {string}
+ * @returns {FileAnalysis}
+ */
+function analyzeSource(source) {
+    var analysis = new FileAnalysis();
+
+    var ast;
+    try {
+        ast = esprima.parseScript(source, {loc: true, range: true, attachComment: true});
+    } catch (e) {
+        analysis.problems.push(new Problem('parse-error', "Unable to parse file: " + (e.description || e.message),
+                                           e.lineNumber || 0));
+        return analysis;
+    }
+
+    var functions = collectFunctions(ast);
+    var injectAnnotations = collectInjectAnnotations(ast);
+    markNgInjectFunctions(ast);
+    var scopes = [{}]; // module aliases of enclosing functions, innermost last, null for shadowing non-module names
+    var iifeCall = null;
+    var angularNames = ['angular'];
+
+    traverse(ast, enter, leave);
+
+    return analysis;
+
+    function enter(node) {
+        switch (node.type) {
+            case 'Property':
+                if (getKeyName(node) === 'templateUrl' && isStringLiteral(node.value)) {
+                    var reference = new TemplateReference();
+                    reference.url = node.value.value;
+                    reference.line = node.loc.start.line;
+                    analysis.templateUrls.push(reference);
+                }
+                break;
+            case 'VariableDeclarator':
+                if (node.id.type === 'Identifier') {
+                    bindAlias(node.id.name, node.init, true);
+                }
+                break;
+            case 'AssignmentExpression':
+                if (node.left.type === 'Identifier' && node.operator === '=') {
+                    bindAlias(node.left.name, node.right, false);
+                }
+                break;
+            case 'CallExpression':
+                if (isFunction(node.callee)) { // IIFE - wrapper params are bound to passed angular or modules
+                    iifeCall = node;
+                }
+                break;
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                enterFunction(node);
+                break;
+        }
+    }
+
+    function leave(node) {
+        if (isFunction(node)) {
+            scopes.pop();
+            return;
+        }
+
+        if (node.type !== 'CallExpression') {
+            return;
+        }
+
+        if (isAngularModuleCall(node, angularNames)) {
+            recordModule(node);
+            return;
+        }
+
+        var recipe = getRecipeName(node.callee);
+        if (recipe && PROVIDER_RECIPES.indexOf(recipe) >= 0) {
+            var moduleName = resolveModuleName(node.callee.object);
+            if (moduleName) {
+                recordProviders(moduleName, recipe, node);
+            }
+        } else if (recipe && BLOCK_RECIPES.indexOf(recipe) >= 0) {
+            var blockModuleName = resolveModuleName(node.callee.object);
+            if (blockModuleName) {
+                recordBlock(blockModuleName, recipe, node);
+            }
+        }
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param recipe {string} config or run
+     * @param node {Object} recipe call expression
+     */
+    function recordBlock(moduleName, recipe, node) {
+        var declaration = new BlockDeclaration();
+        declaration.module = moduleName;
+        declaration.recipe = recipe;
+        declaration.line = node.callee.property.loc.start.line;
+        declaration.injects = getInjects(moduleName, null, node.arguments[0], declaration.line, recipe);
+        analysis.blocks.push(declaration);
+
+        var blockFn = getConstructorFunction(node.arguments[0]);
+        if (recipe === 'config' && blockFn) {
+            recordRoutes(moduleName, blockFn);
+        }
+    }
+
+    /**
+     * Open scope of given function, its params shadow outer aliases unless function is IIFE passing angular or modules
+     * @param node {Object} function node
+     */
+    function enterFunction(node) {
+        if (node.type === 'FunctionDeclaration' && node.id) {
+            scopes[scopes.length - 1][node.id.name] = null;
+        }
+
+        var args = iifeCall && iifeCall.callee === node ? iifeCall.arguments : [];
+        var scope = {};
+
+        node.params.forEach(function(param, index) {
+            if (param.type === 'Identifier') {
+                scope[param.name] = args[index] ? resolveModuleName(args[index]) : null;
+
+                if (args[index] && args[index].type === 'Identifier' && angularNames.indexOf(args[index].name) >= 0) {
+                    angularNames.push(param.name);
+                }
+            }
+        });
+
+        scopes.push(scope);
+    }
+
+    /**
+     * @param name {string}
+     * @param valueNode {?Object} null for declaration without initializer
+     * @param declared {boolean} name is declared by var in current scope, not assigned
+     */
+    function bindAlias(name, valueNode, declared) {
+        var scope = declared ? scopes[scopes.length - 1] : findScope(name);
+        scope[name] = valueNode ? resolveModuleName(valueNode) : null;
+
+        if (valueNode && valueNode.type === 'Identifier' && angularNames.indexOf(valueNode.name) >= 0) {
+            angularNames.push(name);
+        }
+    }
+
+    /**
+     * @param name {string}
+     * @returns {Object} innermost scope declaring given name, file scope if none does
+     */
+    function findScope(name) {
+        for (var i = scopes.length - 1; i > 0; i--) {
+            if (scopes[i].hasOwnProperty(name)) {
+                return scopes[i];
+            }
+        }
+
+        return scopes[0];
+    }
+
+    /**
+     * @param node {Object} expression node
+     * @returns {?string} name of module this expression evaluates to
+     */
+    function resolveModuleName(node) {
+        if (node.type === 'Identifier') {
+            return findScope(node.name)[node.name] || null;
+        }
+
+        if (node.type === 'CallExpression') {
+            if (isAngularModuleCall(node, angularNames)) {
+                return getModuleName(node);
+            }
+
+            if (getRecipeName(node.callee)) {
+                return resolveModuleName(node.callee.object);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param node {Object} angular.module(...) call expression
+     */
+    function recordModule(node) {
+        var name = getModuleName(node);
+        if (!name) {
+            analysis.problems.push(new Problem('non-literal-module-name', "Module name is not a string literal",
+                                               node.loc.start.line));
+            return;
+        }
+
+        var reference = new ModuleReference();
+        reference.name = name;
+        reference.line = node.loc.start.line;
+
+        var depsNode = node.arguments[1];
+        if (depsNode && depsNode.type === 'Identifier' && functions.hasOwnProperty(depsNode.name)) {
+            depsNode = functions[depsNode.name];
+        }
+
+        if (depsNode) {
+            if (depsNode.type === 'ArrayExpression' && depsNode.elements.every(isStringLiteral)) {
+                reference.dependencies = depsNode.elements.map(function(element) {
+                    return element.value;
+                });
+            } else {
+                analysis.problems.push(new Problem('non-static-dependencies',
+                                                   "Dependencies of module " + name + " can not be resolved statically",
+                                                   node.loc.start.line, name));
+                reference.dependencies = [];
+            }
+        }
+
+        analysis.modules.push(reference);
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param recipe {string}
+     * @param node {Object} recipe call expression
+     */
+    function recordProviders(moduleName, recipe, node) {
+        var nameNode = node.arguments[0];
+
+        if (nameNode && nameNode.type === 'ObjectExpression') { // recipe({name: constructor, ...}) form
+            nameNode.properties.forEach(function(property) {
+                recordProvider(moduleName, recipe, getKeyName(property), property.value, property.loc.start.line);
+            });
+        } else if (nameNode && isStringLiteral(nameNode)) {
+            recordProvider(moduleName, recipe, nameNode.value, node.arguments[1], nameNode.loc.start.line);
+        } else {
+            analysis.problems.push(new Problem('non-literal-provider-name',
+                                               "Name of " + recipe + " in module " + moduleName + " is not a string literal",
+                                               node.loc.start.line, moduleName));
+        }
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param recipe {string}
+     * @param name {string}
+     * @param constructorNode {Object}
+     * @param line {number}
+     */
+    function recordProvider(moduleName, recipe, name, constructorNode, line) {
+        if (recipe !== 'provider') {
+            addProvider(moduleName, recipe, name, constructorNode, line);
+            return;
+        }
+
+        addProvider(moduleName, recipe, name + 'Provider', constructorNode, line);
+
+        var providerFn = getConstructorFunction(constructorNode);
+        if (!providerFn) {
+            return;
+        }
+
+        var getter = findProviderGetter(providerFn);
+        if (!getter) {
+            analysis.problems.push(new Problem('missing-get', "Provider " + name + " is missing $get field", line,
+                                               moduleName, name));
+        } else if (getter.type !== 'ObjectExpression') { // object $get means provider is not creating service explicitly
+            addProvider(moduleName, recipe, name, getter, line);
+        }
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param recipe {string}
+     * @param name {string}
+     * @param constructorNode {Object}
+     * @param line {number}
+     */
+    function addProvider(moduleName, recipe, name, constructorNode, line) {
+        var declaration = new ProviderDeclaration();
+        declaration.module = moduleName;
+        declaration.recipe = recipe;
+        declaration.name = name;
+        declaration.line = line;
+
+        if (recipe === 'component') { // no factory, definition object is given directly
+            declaration.controllerInjects = getControllerInjects(moduleName, name, dereference(constructorNode));
+        } else if (INSTANCE_RECIPES.indexOf(recipe) < 0) {
+            declaration.injects = getInjects(moduleName, name, constructorNode, line);
+        }
+
+        if (recipe === 'directive') {
+            var factory = getConstructorFunction(constructorNode);
+            declaration.controllerInjects = getControllerInjects(moduleName, name, factory && findReturnedObject(factory));
+        }
+
+        analysis.providers.push(declaration);
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param name {string} directive, component or route name
+     * @param definitionNode {?Object} directive, component or route definition object
+     * @param excluded {string[]=} route resolve locals, they are not registered providers
+     * @returns {string[]} injects of inline or referenced controller, named controllers are recorded on their own
+     */
+    function getControllerInjects(moduleName, name, definitionNode, excluded) {
+        var controller = definitionNode && definitionNode.type === 'ObjectExpression' ?
+                         findProperty(definitionNode, 'controller') :
+                         null;
+
+        if (!controller || isStringLiteral(controller.value)) {
+            return [];
+        }
+
+        return getInjects(moduleName, name + ' controller', controller.value, controller.loc.start.line)
+            .filter(function(inject) {
+                return !excluded || excluded.indexOf(inject) < 0;
+            });
+    }
+
+    /**
+     * Record controllers of routes defined by <i>$routeProvider.when(path, route)</i> and
+     * <i>$stateProvider.state(name, state)</i> calls of config block
+     * @param moduleName {string}
+     * @param configFn {Object} config block function node
+     */
+    function recordRoutes(moduleName, configFn) {
+        traverse(configFn.body, function(node) {
+            if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+                ROUTE_METHODS.indexOf(getPropertyName(node.callee)) < 0) {
+                return;
+            }
+
+            var definitionNode = node.arguments.filter(function(argument) {
+                return argument.type === 'ObjectExpression';
+            })[0];
+            var controller = definitionNode && findProperty(definitionNode, 'controller');
+            if (!controller || isStringLiteral(controller.value)) {
+                return;
+            }
+
+            var nameProperty = findProperty(definitionNode, 'name');
+            var nameNode = isStringLiteral(node.arguments[0]) ? node.arguments[0] : nameProperty && nameProperty.value;
+            var resolveProperty = findProperty(definitionNode, 'resolve');
+            var resolved = resolveProperty && resolveProperty.value.type === 'ObjectExpression' ?
+                           resolveProperty.value.properties.filter(function(property) {
+                               return property.type === 'Property';
+                           }).map(getKeyName) :
+                           [];
+
+            var declaration = new ProviderDeclaration();
+            declaration.module = moduleName;
+            declaration.recipe = 'route';
+            declaration.name = isStringLiteral(nameNode) ? nameNode.value : '(dynamic)';
+            declaration.line = controller.loc.start.line;
+            declaration.controllerInjects = getControllerInjects(moduleName, declaration.name, definitionNode, resolved);
+
+            analysis.providers.push(declaration);
+        });
+    }
+
+    /**
+     * @param moduleName {string}
+     * @param name {?string} provider name, null for blocks
+     * @param node {Object}
+     * @param line {number}
+     * @param block {string=} config or run when injects of a block are collected
+     * @returns {string[]}
+     */
+    function getInjects(moduleName, name, node, line, block) {
+        var subject = block ? block.charAt(0).toUpperCase() + block.slice(1) + " block of module " + moduleName :
+                      "Provider " + name;
+        var constructorOf = block ? "Function of " + block + " block of module " + moduleName : "Constructor of " + name;
+
+        if (node && node.type === 'Identifier' && injectAnnotations.hasOwnProperty(node.name)) { // Constructor.$inject = [...]
+            return injectAnnotations[node.name];
+        }
+
+        var constructor = dereference(node);
+
+        if (constructor && constructor.type === 'ArrayExpression') {
+            var injects = constructor.elements.slice(0, constructor.elements.length - 1);
+
+            if (injects.every(isStringLiteral)) {
+                return injects.map(function(inject) {
+                    return inject.value;
+                });
+            }
+        } else if (constructor && isFunction(constructor)) {
+            if (constructor.params.length === 0) {
+                return [];
+            }
+
+            if (constructor.params.every(function(param) { return param.type === 'Identifier' })) {
+                var params = constructor.params.map(function(param) {
+                    return param.name;
+                });
+
+                if (constructor.ngInject) {
+                    return params;
+                }
+
+                analysis.annotations.push(new Annotation(node.range, params));
+                analysis.problems.push(new Problem('not-minify-ready', subject + " is not minify-ready - implicit annotation",
+                                                   line, moduleName, name));
+                return params;
+            }
+        } else {
+            analysis.problems.push(new Problem('unresolved-constructor', constructorOf + " can not be resolved statically",
+                                               line, moduleName, name));
+            return [];
+        }
+
+        analysis.problems.push(new Problem('not-minify-ready', subject + " is not minify-ready", line, moduleName, name));
+        return [];
+    }
+
+    /**
+     * @param node {Object}
+     * @returns {?Object} function node of given constructor expression
+     */
+    function getConstructorFunction(node) {
+        node = dereference(node);
+
+        if (node && node.type === 'ArrayExpression') {
+            node = dereference(node.elements[node.elements.length - 1]);
+        }
+
+        return node && isFunction(node) ? node : null;
+    }
+
+    /**
+     * @param node {Object}
+     * @returns {Object} function or array declared in this file under given identifier, or given node itself
+     */
+    function dereference(node) {
+        if (node && node.type === 'Identifier' && functions.hasOwnProperty(node.name)) {
+            return functions[node.name];
+        }
+
+        return node;
+    }
+}
+
+/**
+ * Collect named functions and annotated arrays declared anywhere in file, ignoring scopes
+ * @param ast {Object}
+ * @returns {Object<string, Object>}
+ */
+function collectFunctions(ast) {
+    var functions = {};
+
+    traverse(ast, function(node) {
+        if (node.type === 'FunctionDeclaration' && node.id) {
+            functions[node.id.name] = node;
+        } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+                   (isFunction(node.init) || node.init.type === 'ArrayExpression')) {
+            functions[node.id.name] = node.init;
+        }
+    });
+
+    return functions;
+}
+
+/**
+ * Collect <i>Constructor.$inject = [...]</i> annotations declared anywhere in file, ignoring scopes
+ * @param ast {Object}
+ * @returns {Object<string, string[]>} injects by constructor names
+ */
+function collectInjectAnnotations(ast) {
+    var annotations = {};
+
+    traverse(ast, function(node) {
+        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+            node.left.object.type === 'Identifier' && getPropertyName(node.left) === '$inject' &&
+            node.right.type === 'ArrayExpression' && node.right.elements.every(isStringLiteral)) {
+            annotations[node.left.object.name] = node.right.elements.map(function(element) {
+                return element.value;
+            });
+        }
+    });
+
+    return annotations;
+}
+
+/**
+ * Set <i>ngInject</i> flag on functions preceded by <i>@ngInject</i> comment or having <i>'ngInject'</i> prologue
+ * @param ast {Object}
+ */
+function markNgInjectFunctions(ast) {
+    traverse(ast, function(node) {
+        var marked = (node.leadingComments || []).some(function(comment) {
+            return /@ngInject\b/.test(comment.value);
+        });
+
+        if (marked) {
+            if (node.type === 'VariableDeclaration') {
+                node.declarations.forEach(function(declarator) {
+                    if (declarator.init) {
+                        declarator.init.ngInject = true;
+                    }
+                });
+            } else if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression') {
+                node.expression.right.ngInject = true;
+            } else {
+                node.ngInject = true;
+            }
+        }
+
+        if (isFunction(node) && node.body.type === 'BlockStatement' && node.body.body[0] &&
+            node.body.body[0].directive === 'ngInject') {
+            node.ngInject = true;
+        }
+    });
+}
+
+/**
+ * Rewrite implicitly annotated constructors found by analysis to inline array annotation
+ * @param source {string} analysed source
+ * @param annotations {Annotation[]}
+ * @returns {string}
+ */
+function annotateSource(source, annotations) {
+    // annotations may be nested (provider and it's $get), so insert opening and closing parts separately from the end
+    var insertions = annotations.reduce(function(prev, annotation) {
+        var injects = annotation.injects.map(function(inject) {
+            return "'" + inject + "'";
+        });
+
+        return prev.concat({offset: annotation.start, text: '[' + injects.join(', ') + ', '},
+                           {offset: annotation.end, text: ']'});
+    }, []);
+
+    return insertions
+        .sort(function(a, b) {
+            return b.offset - a.offset;
+        })
+        .reduce(function(prev, insertion) {
+            return prev.substring(0, insertion.offset) + insertion.text + prev.substring(insertion.offset);
+        }, source);
+}
+
+/**
+ * Find value assigned to <i>this.$get</i> or returned as <i>$get</i> field from provider constructor
+ * @param fn {Object} provider constructor function node
+ * @returns {?Object}
+ */
+function findProviderGetter(fn) {
+    var getter = null;
+
+    traverse(fn.body, function(node) {
+        if (getter || isFunction(node)) {
+            return false;
+        }
+
+        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+            node.left.object.type === 'ThisExpression' && getPropertyName(node.left) === '$get') {
+            getter = node.right;
+        } else if (node.type === 'ReturnStatement' && node.argument && node.argument.type === 'ObjectExpression') {
+            node.argument.properties.forEach(function(property) {
+                if (getKeyName(property) === '$get') {
+                    getter = property.value;
+                }
+            });
+        }
+    });
+
+    return getter;
+}
+
+/**
+ * Find object literal returned from function body, e.g. directive definition object of directive factory
+ * @param fn {Object} function node
+ * @returns {?Object}
+ */
+function findReturnedObject(fn) {
+    if (fn.body.type === 'ObjectExpression') { // arrow function returning object literal
+        return fn.body;
+    }
+
+    var returned = null;
+
+    traverse(fn.body, function(node) {
+        if (returned || isFunction(node)) {
+            return false;
+        }
+
+        if (node.type === 'ReturnStatement' && node.argument && node.argument.type === 'ObjectExpression') {
+            returned = node.argument;
+        }
+    });
+
+    return returned;
+}
+
+/**
+ * @param objectNode {Object} object expression
+ * @param name {string}
+ * @returns {?Object} property node
+ */
+function findProperty(objectNode, name) {
+    return objectNode.properties.filter(function(property) {
+        return property.type === 'Property' && getKeyName(property) === name;
+    })[0] || null;
+}
+
+/**
+ * @param node {Object}
+ * @param angularNames {string[]} identifiers referencing angular in current file
+ * @returns {boolean} true if node is <i>angular.module(...)</i> call
+ */
+function isAngularModuleCall(node, angularNames) {
+    return node.type === 'CallExpression' &&
+           node.callee.type === 'MemberExpression' &&
+           getPropertyName(node.callee) === 'module' &&
+           isAngularReference(node.callee.object);
+
+    function isAngularReference(object) {
+        if (object.type === 'Identifier') {
+            return angularNames.indexOf(object.name) >= 0;
+        }
+
+        // window.angular
+        return object.type === 'MemberExpression' && getPropertyName(object) === 'angular';
+    }
+}
+
+/**
+ * @param node {Object} angular.module(...) call expression
+ * @returns {?string}
+ */
+function getModuleName(node) {
+    return node.arguments[0] && isStringLiteral(node.arguments[0]) ? node.arguments[0].value : null;
+}
+
+/**
+ * @param callee {Object}
+ * @returns {?string} module recipe name if callee is <i>something.recipe</i> member expression
+ */
+function getRecipeName(callee) {
+    if (callee.type !== 'MemberExpression') {
+        return null;
+    }
+
+    var name = getPropertyName(callee);
+
+    return CHAINABLE_RECIPES.indexOf(name) >= 0 ? name : null;
+}
+
+/**
+ * @param node {Object} member expression
+ * @returns {?string}
+ */
+function getPropertyName(node) {
+    if (!node.computed && node.property.type === 'Identifier') {
+        return node.property.name;
+    }
+
+    return isStringLiteral(node.property) ? node.property.value : null;
+}
+
+/**
+ * @param node {Object} object property
+ * @returns {string}
+ */
+function getKeyName(node) {
+    return node.key.type === 'Identifier' ? node.key.name : String(node.key.value);
+}
+
+function isStringLiteral(node) {
+    return !!node && node.type === 'Literal' && typeof node.value === 'string';
+}
+
+function isFunction(node) {
+    return node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression' ||
+           node.type === 'FunctionDeclaration';
+}
+
+/**
+ * Depth-first AST walk. Returning false from <i>enter</i> skips node's children.
+ * @param node {Object}
+ * @param enter {function(Object):(boolean|undefined)}
+ * @param leave {function(Object)=}
+ */
+function traverse(node, enter, leave) {
+    if (enter(node) === false) {
+        return;
+    }
+
+    Object.keys(node).forEach(function(key) {
+        if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') {
+            return;
+        }
+
+        var child = node[key];
+
+        if (Array.isArray(child)) {
+            child.forEach(function(element) {
+                if (element && typeof element.type === 'string') {
+                    traverse(element, enter, leave);
+                }
+            });
+        } else if (child && typeof child.type === 'string') {
+            traverse(child, enter, leave);
+        }
+    });
+
+    if (leave) {
+        leave(node);
+    }
+}
+
+/**
+ * Everything single file contributes to modules structure
+ * @constructor
+ */
+function FileAnalysis() {
+    /**
+     * angular.module(...) calls in order of appearance
+     * @type {ModuleReference[]}
+     */
+    this.modules = [];
+
+    /**
+     * @type {ProviderDeclaration[]}
+     */
+    this.providers = [];
+
+    /**
+     * Config and run blocks
+     * @type {BlockDeclaration[]}
+     */
+    this.blocks = [];
+
+    /**
+     * templateUrl properties values
+     * @type {TemplateReference[]}
+     */
+    this.templateUrls = [];
+
+    /**
+     * Implicitly annotated constructors which may be rewritten to array annotation
+     * @type {Annotation[]}
+     */
+    this.annotations = [];
+
+    /**
+     * @type {Problem[]}
+     */
+    this.problems = [];
+}
+
+function ModuleReference() {
+    /**
+     * @type {string}
+     */
+    this.name = null;
+
+    /**
+     * Null for module getter call
+     * @type {?string[]}
+     */
+    this.dependencies = null;
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+function ProviderDeclaration() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * Module method used for declaration - provider, factory, service, ..., or 'route' for route controllers
+     * @type {string}
+     */
+    this.recipe = null;
+
+    /**
+     * @type {string}
+     */
+    this.name = null;
+
+    /**
+     * @type {string[]}
+     */
+    this.injects = [];
+
+    /**
+     * Injects of directive, component or route controller
+     * @type {string[]}
+     */
+    this.controllerInjects = [];
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+function BlockDeclaration() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * config or run
+     * @type {string}
+     */
+    this.recipe = null;
+
+    /**
+     * @type {string[]}
+     */
+    this.injects = [];
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+function TemplateReference() {
+    /**
+     * @type {string}
+     */
+    this.url = null;
+
+    /**
+     * @type {number}
+     */
+    this.line = 0;
+}
+
+/**
+ * @param range {number[]} start and end offsets of constructor expression
+ * @param injects {string[]} constructor parameters names
+ * @constructor
+ */
+function Annotation(range, injects) {
+    /**
+     * @type {number}
+     */
+    this.start = range[0];
+
+    /**
+     * @type {number}
+     */
+    this.end = range[1];
+
+    /**
+     * @type {string[]}
+     */
+    this.injects = injects;
+}
+
+/**
+ * @param code {string} diagnostic code, see diagnostics.RULES
+ * @param message {string}
+ * @param line {number}
+ * @param module {string=}
+ * @param provider {string=}
+ * @constructor
+ */
+function Problem(code, message, line, module, provider) {
+    /**
+     * @type {string}
+     */
+    this.code = code;
+
+    /**
+     * @type {string}
+     */
+    this.message = message;
+
+    /**
+     * @type {?string}
+     */
+    this.module = module || null;
+
+    /**
+     * @type {?string}
+     */
+    this.provider = provider || null;
+
+    /**
+     * @type {number}
+     */
+    this.line = line;
+}
\ No newline at end of file
@@ -0,0 +1,247 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var glob = require('glob');
+var fileUtils = require('./fileUtils');
+var diagnostics = require('./diagnostics');
+
+var templatesFileSuffix = '.templates.js';
+
+/**
+ * @typedef {Object} TemplatesConfig
+ * @property {string} dir directory generated templates files are written to
+ * @property {string} url url of generated templates directory used in import tags
+ * @property {Object<string, string>=} mapping partials path to url mapping, same as js files mapping
+ * @property {boolean=} scanDirectories put all partials from module's directory into cache, not only ones referenced by templateUrl
+ */
+
+/**
+ * Find partials of every module and register generated $templateCache file in module's files
+ * @param modules {ModulesStructure}
+ * @param config {TemplatesConfig}
+ * @param excludedFiles {string[]} html files which are not partials, i.e. entry points
+ * @param problems {Diagnostic[]} missing partials and ambiguous directories are appended to it
+ * @returns {TemplatesFile[]}
+ */
+module.exports.collectTemplates = function(modules, config, excludedFiles, problems) {
+    var partials = config.scanDirectories ? collectDirectoriesPartials(modules, config, excludedFiles, problems) : {};
+
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].templateUrls.forEach(function(url) {
+            var partialPath = urlToPath(url, config.mapping);
+
+            if (!fs.existsSync(partialPath)) {
+                var declaration = modules[moduleName].declarations[0];
+                var message = "Template " + url + " of module " + moduleName + " was not found at " + partialPath;
+
+                problems.push(diagnostics.createDiagnostic('missing-template', message, {
+                    module: moduleName,
+                    file: declaration && declaration.file,
+                    line: declaration && declaration.line
+                }));
+                return;
+            }
+
+            (partials[moduleName] || (partials[moduleName] = {}))[url] = partialPath;
+        });
+    });
+
+    return Object.keys(partials).map(function(moduleName) {
+        var module = modules[moduleName];
+        var fileName = moduleName + templatesFileSuffix;
+
+        var templatesFile = new TemplatesFile();
+        templatesFile.module = moduleName;
+        templatesFile.path = path.join(config.dir, fileName);
+        templatesFile.url = config.url.replace(/\/$/, '') + '/' + fileName;
+        templatesFile.templates = partials[moduleName];
+
+        if (module.files.indexOf(templatesFile.url) < 0) {
+            var bytes = Object.keys(templatesFile.templates).reduce(function(prev, url) {
+                return prev + fs.statSync(templatesFile.templates[url]).size;
+            }, 0);
+
+            module.files.push(templatesFile.url);
+            module.sources[templatesFile.url] = templatesFile.path;
+            module.size += Math.ceil(bytes / 1024.0);
+            module.bytes += bytes;
+        }
+
+        return templatesFile;
+    });
+};
+
+/**
+ * Write $templateCache run blocks for given templates files
+ * @param templatesFiles {TemplatesFile[]}
+ */
+module.exports.writeTemplates = function(templatesFiles) {
+    var contents = buildTemplates(templatesFiles);
+
+    Object.keys(contents).forEach(function(filePath) {
+        fileUtils.makeDirectory(path.dirname(filePath));
+        fs.writeFileSync(filePath, contents[filePath]);
+    });
+};
+
+module.exports.buildTemplates = buildTemplates;
+
+/**
+ * Build $templateCache run blocks the same way writeTemplates does, without writing them
+ * @param templatesFiles {TemplatesFile[]}
+ * @returns {Object<string, string>} content of every templates file by its path
+ */
+function buildTemplates(templatesFiles) {
+    return templatesFiles.reduce(function(prev, templatesFile) {
+        var puts = Object.keys(templatesFile.templates).sort().map(function(url) {
+            return '    $templateCache.put(' + JSON.stringify(url) + ', ' +
+                   JSON.stringify(fs.readFileSync(templatesFile.templates[url]) + '') + ');';
+        });
+
+        prev[templatesFile.path] = "angular.module(" + JSON.stringify(templatesFile.module) + ").run(['$templateCache', function($templateCache) {\n" +
+                                   puts.join('\n') +
+                                   "\n}]);\n";
+
+        return prev;
+    }, {});
+}
+
+/**
+ * Assign every partial to the module declared in the nearest parent directory. Directories declaring several modules are skipped.
+ * @param modules {ModulesStructure}
+ * @param config {TemplatesConfig}
+ * @param excludedFiles {string[]}
+ * @param problems {Diagnostic[]}
+ * @returns {Object<string, Object<string, string>>} partial paths by urls by module names
+ */
+function collectDirectoriesPartials(modules, config, excludedFiles, problems) {
+    var moduleByDir = {};
+    var modulesByDir = {};
+
+    Object.keys(modules).forEach(function(moduleName) {
+        var declaration = modules[moduleName].declarations[0];
+        if (!declaration) {
+            return;
+        }
+
+        var dir = path.dirname(declaration.file);
+        moduleByDir[dir] = moduleByDir.hasOwnProperty(dir) ? null : moduleName;
+        (modulesByDir[dir] || (modulesByDir[dir] = [])).push(moduleName);
+    });
+
+    Object.keys(modulesByDir).forEach(function(dir) {
+        var moduleNames = modulesByDir[dir];
+        if (moduleNames.length < 2) {
+            return;
+        }
+
+        var declaration = modules[moduleNames[1]].declarations[0];
+        var message = "Directory " + dir + " declares modules " + moduleNames.join(', ') +
+                      ", its partials are not assigned to any of them";
+
+        problems.push(diagnostics.createDiagnostic('ambiguous-template-directory', message, {
+            module: moduleNames[1],
+            file: declaration.file,
+            line: declaration.line
+        }));
+    });
+
+    var excluded = excludedFiles.map(function(file) {
+        return path.normalize(file);
+    });
+
+    return Object.keys(moduleByDir).reduce(function(prev, dir) {
+        var moduleName = moduleByDir[dir];
+        if (!moduleName) {
+            return prev;
+        }
+
+        glob.sync(dir + '/**/*.html').forEach(function(partialPath) {
+            if (excluded.indexOf(path.normalize(partialPath)) >= 0 || findModuleDir(partialPath) !== dir) {
+                return;
+            }
+
+            (prev[moduleName] || (prev[moduleName] = {}))[pathToUrl(partialPath, config.mapping)] = partialPath;
+        });
+
+        return prev;
+    }, {});
+
+    /**
+     * @param partialPath {string}
+     * @returns {?string} nearest parent directory declaring module
+     */
+    function findModuleDir(partialPath) {
+        var dir = path.dirname(partialPath);
+
+        while (!moduleByDir.hasOwnProperty(dir)) {
+            var parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+
+        return dir;
+    }
+}
+
+/**
+ * @param partialPath {string}
+ * @param mapping {Object<string, string>=}
+ * @returns {string}
+ */
+function pathToUrl(partialPath, mapping) {
+    if (!mapping) {
+        return partialPath;
+    }
+
+    var from = Object.keys(mapping)[0];
+
+    return partialPath
+        .replace(from, mapping[from])
+        .replace(/\/\//, '/');
+}
+
+/**
+ * @param url {string}
+ * @param mapping {Object<string, string>=}
+ * @returns {string}
+ */
+function urlToPath(url, mapping) {
+    if (mapping) {
+        var to = Object.keys(mapping)[0];
+        var from = mapping[to];
+
+        if (url.indexOf(from) === 0) {
+            return path.join(to, url.substring(from.length));
+        }
+    }
+
+    return url.replace(/^\//, '');
+}
+
+function TemplatesFile() {
+    /**
+     * @type {string}
+     */
+    this.module = null;
+
+    /**
+     * Real path of generated file
+     * @type {string}
+     */
+    this.path = null;
+
+    /**
+     * @type {string}
+     */
+    this.url = null;
+
+    /**
+     * Partials paths by urls
+     * @type {Object<string, string>}
+     */
+    this.templates = {};
+}
\ No newline at end of file
@@ -0,0 +1,238 @@
+'use strict';
+
+var fs = require('fs');
+var modulesBuilder = require('./modulesBuilder');
+var ngCore = require('./ngCore');
+var diagnostics = require('./diagnostics');
+
+/**
+ * Recipes whose names are used in markup as elements or attributes
+ * @type {string[]}
+ */
+var MARKUP_RECIPES = ['directive', 'component'];
+
+exports.validateTemplates = validateTemplates;
+
+/**
+ * Check that every directive, component and filter used by template is provided by module it is validated against or
+ * its dependencies. Markup is not parsed strictly - only names matching directives and components known to modules
+ * structure are checked, since the rest are plain html elements and attributes.
+ * @param modules {ModulesStructure}
+ * @param templates {TemplateSource[]}
+ * @returns {Diagnostic[]}
+ */
+function validateTemplates(modules, templates) {
+    var providers = collectMarkupProviders(modules);
+    var found = [];
+
+    templates.forEach(function(template) {
+        var scope = modulesBuilder.resolveDependencies(template.module, modules);
+
+        findUsages(fs.readFileSync(template.path) + '', providers.directives).forEach(function(usage) {
+            var owners = usage.kind === 'filter' ? providers.filters[usage.name] : providers.directives[usage.name];
+
+            if (!owners) {
+                if (usage.kind === 'filter' && ngCore.FILTERS.indexOf(usage.name) < 0) {
+                    found.push(createDiagnostic('unknown-filter', "Template " + template.path + " uses filter " + usage.name +
+                                                                  ", but " + usage.name + " is not provided by any module"));
+                }
+                return;
+            }
+
+            var available = owners.some(function(owner) {
+                return scope.indexOf(owner) >= 0;
+            });
+
+            if (!available) {
+                found.push(createDiagnostic('missing-template-dependency', "Template " + template.path + " uses " +
+                                                                           usage.kind + " " + usage.name + " defined in " +
+                                                                           owners.join(', ') + ", but module " +
+                                                                           template.module + " do not depend on it"));
+            }
+
+            function createDiagnostic(code, message) {
+                return diagnostics.createDiagnostic(code, message, {
+                    module: template.module,
+                    file: template.path,
+                    line: usage.line
+                });
+            }
+        });
+    });
+
+    return found;
+}
+
+/**
+ * @param modules {ModulesStructure}
+ * @returns {{directives: Object<string, string[]>, filters: Object<string, string[]>}} names of modules providing
+ * every directive, component and filter
+ */
+function collectMarkupProviders(modules) {
+    var directives = {};
+    var filters = {};
+
+    Object.keys(modules).forEach(function(moduleName) {
+        modules[moduleName].providers.forEach(function(provider) {
+            var names = MARKUP_RECIPES.indexOf(provider.recipe) >= 0 ? directives :
+                        provider.recipe === 'filter' ? filters :
+                        null;
+
+            if (names && (names[provider.name] || (names[provider.name] = [])).indexOf(moduleName) < 0) {
+                names[provider.name].push(moduleName);
+            }
+        });
+    });
+
+    return {
+        directives: directives,
+        filters: filters
+    };
+}
+
+/**
+ * @param html {string}
+ * @param directives {Object<string, string[]>} known directives and components
+ * @returns {TemplateUsage[]} usages of known directives and components and of all filters
+ */
+function findUsages(html, directives) {
+    var usages = [];
+
+    // keep offsets, so lines of usages are preserved
+    html = html.replace(/<!--[\s\S]*?-->/g, function(comment) {
+        return comment.replace(/[^\n]/g, ' ');
+    });
+
+    // offsets every line starts at, lines of usages are searched in them instead of counting lines before every usage
+    var lineOffsets = [0];
+    for (var i = html.indexOf('\n'); i >= 0; i = html.indexOf('\n', i + 1)) {
+        lineOffsets.push(i + 1);
+    }
+
+    // quotes are excluded from names and unquoted values, so broken markup can not be matched in many ways
+    var tagPattern = /<([a-zA-Z][\w:.-]*)((?:\s+[^\s=\/>"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*\/?>/g;
+    var attributePattern = /([^\s=\/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+    var tagMatch;
+
+    while ((tagMatch = tagPattern.exec(html)) !== null) {
+        var line = getLine(tagMatch.index);
+        var elementName = normalizeName(tagMatch[1]);
+        var knownElement = directives.hasOwnProperty(elementName);
+
+        if (knownElement) {
+            usages.push(new TemplateUsage('directive', elementName, line));
+        }
+
+        var attributeMatch;
+        while ((attributeMatch = attributePattern.exec(tagMatch[2])) !== null) {
+            var attributeName = normalizeName(attributeMatch[1]);
+            var value = attributeMatch[2] || attributeMatch[3] || attributeMatch[4] || '';
+            var knownAttribute = directives.hasOwnProperty(attributeName);
+
+            if (knownAttribute) {
+                usages.push(new TemplateUsage('directive', attributeName, line));
+            }
+
+            // values of other attributes are not angular expressions, e.g. pattern="a|b"
+            if (knownElement || knownAttribute || /^ng[A-Z]/.test(attributeName)) {
+                addFilters(value, line);
+            }
+        }
+    }
+
+    var interpolationPattern = /\{\{([\s\S]*?)}}/g;
+    var interpolationMatch;
+    while ((interpolationMatch = interpolationPattern.exec(html)) !== null) {
+        addFilters(interpolationMatch[1], getLine(interpolationMatch.index));
+    }
+
+    return usages;
+
+    /**
+     * @param expression {string}
+     * @param line {number}
+     */
+    function addFilters(expression, line) {
+        var filterPattern = /\|+\s*([a-zA-Z_$][\w$]*)/g;
+        var filterMatch;
+
+        // string literals may contain pipes
+        expression = expression.replace(/'[^']*'|"[^"]*"/g, "''");
+
+        while ((filterMatch = filterPattern.exec(expression)) !== null) {
+            var name = filterMatch[1];
+            var duplicate = usages.some(function(usage) {
+                return usage.kind === 'filter' && usage.name === name && usage.line === line;
+            });
+
+            // || is logical or, interpolations of attributes are met twice
+            if (filterMatch[0].indexOf('||') !== 0 && !duplicate) {
+                usages.push(new TemplateUsage('filter', name, line));
+            }
+        }
+    }
+
+    /**
+     * @param offset {number}
+     * @returns {number} 1-based line, count of lines starting at or before given offset
+     */
+    function getLine(offset) {
+        var low = 0;
+        var high = lineOffsets.length;
+
+        while (low < high) {
+            var middle = (low + high) >>> 1;
+            if (lineOffsets[middle] <= offset) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+}
+
+/**
+ * Angular normalization of element and attribute names: x- and data- prefixes are dropped, ':', '-' and '_'
+ * delimited parts are camel-cased
+ * @param name {string}
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return name
+        .toLowerCase()
+        .replace(/^(x|data)[:_-]/, '')
+        .replace(/[:_-]+(.)/g, function(match, letter) {
+            return letter.toUpperCase();
+        });
+}
+
+/**
+ * @typedef {Object} TemplateSource
+ * @property {string} path real path of html file or partial
+ * @property {string} module ng-app module of html file or module partial belongs to
+ */
+
+/**
+ * @param kind {string} directive or filter
+ * @param name {string}
+ * @param line {number}
+ * @constructor
+ */
+function TemplateUsage(kind, name, line) {
+    /**
+     * @type {string}
+     */
+    this.kind = kind;
+
+    /**
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * @type {number}
+     */
+    this.line = line;
+}
\ No newline at end of file
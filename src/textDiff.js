@@ -0,0 +1,271 @@
+'use strict';
+
+var CONTEXT_LINES = 3;
+
+/**
+ * Build unified diff of two texts, line by line
+ * @param oldText {string}
+ * @param newText {string}
+ * @param oldName {string}
+ * @param newName {string}
+ * @returns {string} empty string if texts are equal
+ */
+module.exports.createUnifiedDiff = function(oldText, newText, oldName, newName) {
+    if (oldText === newText) {
+        return '';
+    }
+
+    var operations = diffLines(splitLines(oldText), splitLines(newText));
+    var lines = ['--- ' + oldName, '+++ ' + newName];
+
+    buildHunks(operations).forEach(function(hunk) {
+        lines.push('@@ -' + printRange(hunk.oldStart, hunk.oldCount) + ' +' + printRange(hunk.newStart, hunk.newCount) + ' @@');
+        hunk.operations.forEach(function(operation) {
+            lines.push(operation.type + operation.line);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * @param text {string}
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    var lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    return lines;
+}
+
+/**
+ * Longest common subsequence based edit script, common head and tail are skipped before building the table
+ * @param oldLines {string[]}
+ * @param newLines {string[]}
+ * @returns {DiffOperation[]}
+ */
+function diffLines(oldLines, newLines) {
+    var head = 0;
+    while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+        head++;
+    }
+
+    var tail = 0;
+    while (tail < oldLines.length - head && tail < newLines.length - head &&
+           oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) {
+        tail++;
+    }
+
+    var oldMiddle = oldLines.slice(head, oldLines.length - tail);
+    var newMiddle = newLines.slice(head, newLines.length - tail);
+
+    // lengths[i][j] is LCS length of oldMiddle[i..] and newMiddle[j..]
+    var lengths = [];
+    for (var i = oldMiddle.length; i >= 0; i--) {
+        lengths[i] = [];
+        for (var j = newMiddle.length; j >= 0; j--) {
+            if (i === oldMiddle.length || j === newMiddle.length) {
+                lengths[i][j] = 0;
+            } else if (oldMiddle[i] === newMiddle[j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+
+    var operations = oldLines.slice(0, head).map(function(line) {
+        return new DiffOperation(' ', line);
+    });
+
+    i = 0;
+    j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+        if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+            operations.push(new DiffOperation(' ', oldMiddle[i++]));
+            j++;
+        } else if (j < newMiddle.length && (i === oldMiddle.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            operations.push(new DiffOperation('+', newMiddle[j++]));
+        } else {
+            operations.push(new DiffOperation('-', oldMiddle[i++]));
+        }
+    }
+
+    // removed lines go before added ones within every changed block
+    operations = reorderChanges(operations);
+
+    return operations.concat(oldLines.slice(oldLines.length - tail).map(function(line) {
+        return new DiffOperation(' ', line);
+    }));
+}
+
+/**
+ * @param operations {DiffOperation[]}
+ * @returns {DiffOperation[]}
+ */
+function reorderChanges(operations) {
+    var result = [];
+    var removed = [];
+    var added = [];
+
+    operations.forEach(function(operation) {
+        if (operation.type === '-') {
+            removed.push(operation);
+        } else if (operation.type === '+') {
+            added.push(operation);
+        } else {
+            result = result.concat(removed, added, [operation]);
+            removed = [];
+            added = [];
+        }
+    });
+
+    return result.concat(removed, added);
+}
+
+/**
+ * Group changes with CONTEXT_LINES of unchanged lines around them into hunks
+ * @param operations {DiffOperation[]}
+ * @returns {DiffHunk[]}
+ */
+function buildHunks(operations) {
+    var hunks = [];
+    var hunk = null;
+    var oldLine = 1;
+    var newLine = 1;
+    var lastChange = -1;
+
+    operations.forEach(function(operation, index) {
+        if (operation.type !== ' ') {
+            if (!hunk || index - lastChange > CONTEXT_LINES * 2 + 1) {
+                if (hunk) {
+                    trimContext(hunk);
+                }
+
+                var contextStart = Math.max(index - CONTEXT_LINES, lastChange + 1, 0);
+                var contextLength = index - contextStart;
+
+                hunk = new DiffHunk(oldLine - contextLength, newLine - contextLength);
+                hunks.push(hunk);
+
+                operations.slice(contextStart, index).forEach(function(context) {
+                    addOperation(hunk, context);
+                });
+            }
+
+            lastChange = index;
+            addOperation(hunk, operation);
+        } else if (hunk && index - lastChange <= CONTEXT_LINES * 2) {
+            addOperation(hunk, operation);
+        }
+
+        if (operation.type !== '+') {
+            oldLine++;
+        }
+        if (operation.type !== '-') {
+            newLine++;
+        }
+    });
+
+    if (hunk) {
+        trimContext(hunk);
+    }
+
+    return hunks;
+
+    /**
+     * Drop trailing context lines beyond CONTEXT_LINES
+     * @param hunk {DiffHunk}
+     */
+    function trimContext(hunk) {
+        var trailing = 0;
+        for (var i = hunk.operations.length - 1; i >= 0 && hunk.operations[i].type === ' '; i--) {
+            trailing++;
+        }
+
+        var extra = Math.max(trailing - CONTEXT_LINES, 0);
+        hunk.operations.splice(hunk.operations.length - extra, extra);
+        hunk.oldCount -= extra;
+        hunk.newCount -= extra;
+    }
+
+    /**
+     * @param hunk {DiffHunk}
+     * @param operation {DiffOperation}
+     */
+    function addOperation(hunk, operation) {
+        hunk.operations.push(operation);
+
+        if (operation.type !== '+') {
+            hunk.oldCount++;
+        }
+        if (operation.type !== '-') {
+            hunk.newCount++;
+        }
+    }
+}
+
+/**
+ * @param start {number}
+ * @param count {number}
+ * @returns {string}
+ */
+function printRange(start, count) {
+    if (count === 0) {
+        return (start - 1) + ',0';
+    }
+
+    return count === 1 ? String(start) : start + ',' + count;
+}
+
+/**
+ * @param type {' '|'-'|'+'}
+ * @param line {string}
+ * @constructor
+ */
+function DiffOperation(type, line) {
+    /**
+     * @type {' '|'-'|'+'}
+     */
+    this.type = type;
+
+    /**
+     * @type {string}
+     */
+    this.line = line;
+}
+
+/**
+ * @param oldStart {number}
+ * @param newStart {number}
+ * @constructor
+ */
+function DiffHunk(oldStart, newStart) {
+    /**
+     * @type {number}
+     */
+    this.oldStart = oldStart;
+
+    /**
+     * @type {number}
+     */
+    this.oldCount = 0;
+
+    /**
+     * @type {number}
+     */
+    this.newStart = newStart;
+
+    /**
+     * @type {number}
+     */
+    this.newCount = 0;
+
+    /**
+     * @type {DiffOperation[]}
+     */
+    this.operations = [];
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var DEFAULT_DIRS = ['node_modules', 'bower_components'];
+
+/**
+ * Directories of package where distributed files are looked for after package's main file
+ * @type {string[]}
+ */
+var DIST_DIRS = ['', 'dist', 'release', 'build'];
+
+/**
+ * @typedef {Object} VendorConfig
+ * @property {string[]=} dirs packages directories, node_modules and bower_components by default
+ * @property {Object<string, string>=} mapping url prefixes replacing packages directories in imports
+ */
+
+exports.listVendorFiles = listVendorFiles;
+
+/**
+ * List candidate distributed files of every installed package, package's main file first. Packages are not executed or
+ * bundled, so only files declaring angular modules themselves are useful, files requiring them are not followed.
+ * @param vendorConfig {VendorConfig}
+ * @returns {VendorFile[][]} candidate files of every package
+ */
+function listVendorFiles(vendorConfig) {
+    var mapping = vendorConfig.mapping || {};
+
+    return (vendorConfig.dirs || DEFAULT_DIRS).filter(isDirectory).reduce(function(prev, dir) {
+        return prev.concat(listPackages(dir).map(function(packageDir) {
+            return listPackageFiles(packageDir).map(function(filePath) {
+                var file = new VendorFile();
+                file.path = filePath;
+                file.importName = mapping.hasOwnProperty(dir) ?
+                                  (mapping[dir] + '/' + path.relative(dir, filePath)).replace(/\/\//, '/') :
+                                  filePath;
+
+                return file;
+            });
+        }));
+    }, []);
+}
+
+/**
+ * @param dir {string}
+ * @returns {string[]} package directories including scoped ones
+ */
+function listPackages(dir) {
+    return fs.readdirSync(dir).sort().reduce(function(prev, name) {
+        var packageDir = path.join(dir, name);
+
+        if (name.charAt(0) === '.' || !isDirectory(packageDir)) {
+            return prev;
+        }
+
+        if (name.charAt(0) === '@') {
+            return prev.concat(fs.readdirSync(packageDir).sort().map(function(scopedName) {
+                return path.join(packageDir, scopedName);
+            }).filter(isDirectory));
+        }
+
+        prev.push(packageDir);
+        return prev;
+    }, []);
+}
+
+/**
+ * @param packageDir {string}
+ * @returns {string[]} main js files of package manifest followed by not minified js files of DIST_DIRS
+ */
+function listPackageFiles(packageDir) {
+    var files = [];
+
+    ['package.json', 'bower.json'].forEach(function(manifestName) {
+        var manifestPath = path.join(packageDir, manifestName);
+        if (!fs.existsSync(manifestPath)) {
+            return;
+        }
+
+        var manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath) + '');
+        } catch (e) {
+            return;
+        }
+
+        [].concat(manifest.main || []).forEach(function(main) {
+            var mainPath = path.join(packageDir, main);
+            if (!/\.js$/.test(mainPath)) {
+                mainPath += '.js';
+            }
+
+            files.push(mainPath);
+        });
+    });
+
+    DIST_DIRS.forEach(function(distDir) {
+        var dir = path.join(packageDir, distDir);
+        if (!isDirectory(dir)) {
+            return;
+        }
+
+        fs.readdirSync(dir).sort().forEach(function(name) {
+            if (/\.js$/.test(name) && !/\.min\.js$/.test(name)) {
+                files.push(path.join(dir, name));
+            }
+        });
+    });
+
+    return files.filter(function(filePath, index) {
+        return files.indexOf(filePath) === index && fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    });
+}
+
+/**
+ * @param dir {string}
+ * @returns {boolean}
+ */
+function isDirectory(dir) {
+    return fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+}
+
+function VendorFile() {
+    /**
+     * Real path
+     * @type {string}
+     */
+    this.path = null;
+
+    /**
+     * Path written to imports
+     * @type {string}
+     */
+    this.importName = null;
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+'use strict';
+
+var diagnostics = require('./diagnostics');
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {number} interval milliseconds between js directories and partials scans
+ * @property {boolean} write rewrite templates, bundles and hashed files after every change and imports of html files
+ * whose rendered imports changed
+ * @property {boolean} bundle write imports as bundles
+ * @property {boolean} validateInjects
+ * @property {boolean} validateTemplates
+ * @property {function(string)=} log writer of progress messages, console.log by default
+ */
+
+/**
+ * Periodically rescan js directories and partials of given bundle, re-analyse only added, changed and deleted files,
+ * rewrite generated files and html files whose rendered imports changed and report problems as they appear
+ * @param bundle {Bundle}
+ * @param options {WatchOptions}
+ */
+module.exports.watch = function(bundle, options) {
+    var log = options.log || console.log;
+    var problems = collectProblems();
+
+    log("Watching " + bundle.config.js.map(function(jsConfig) { return jsConfig.dir }).join(', ') + " for changes");
+    schedule();
+
+    function schedule() {
+        setTimeout(check, options.interval);
+    }
+
+    function check() {
+        try {
+            var changes = bundle.update();
+
+            if (changes.count() > 0) {
+                reportChanges(changes);
+                writeImports();
+                reportProblems();
+            }
+        } catch (e) {
+            console.error(e.message || e);
+        }
+
+        schedule();
+    }
+
+    /**
+     * @param changes {FilesChanges}
+     */
+    function reportChanges(changes) {
+        changes.added.forEach(function(filename) {
+            log("Added " + filename);
+        });
+        changes.changed.forEach(function(filename) {
+            log("Changed " + filename);
+        });
+        changes.removed.forEach(function(filename) {
+            log("Removed " + filename);
+        });
+    }
+
+    function reportProblems() {
+        var current = collectProblems();
+
+        current.forEach(function(problem) {
+            if (problems.indexOf(problem) < 0) {
+                console.warn(problem);
+            }
+        });
+        problems.forEach(function(problem) {
+            if (current.indexOf(problem) < 0) {
+                log("Resolved: " + problem);
+            }
+        });
+
+        problems = current;
+    }
+
+    /**
+     * Content of changed file may be bundled, hashed or cached as template without any import being added or removed,
+     * so everything is rendered again and only html files whose content differs are rewritten
+     */
+    function writeImports() {
+        if (!options.write) {
+            return;
+        }
+
+        if (bundle.findCircularReferences().length > 0) {
+            console.error("Imports are not written - modules have circular reference");
+            return;
+        }
+
+        bundle.writeImports(options.bundle).forEach(function(htmlFilePath) {
+            log("Imports of " + htmlFilePath + " updated");
+        });
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    function collectProblems() {
+        return bundle.getDiagnostics(options.validateInjects, options.validateTemplates).map(diagnostics.formatDiagnostic);
+    }
+};
\ No newline at end of file
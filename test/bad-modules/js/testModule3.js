@@ -1,3 +1,9 @@
 'use strict';
 
-angular.module('module3', ['module1', 'module2']);
\ No newline at end of file
+angular.module('module3', ['module1', 'module2', 'module5']);
+
+angular.module('module3').factory('factory3', ['$http', 'servce1', function(){}]);
+
+angular.module('module3').factory('factory4', ['factory5', function(){}]);
+
+angular.module('module3').factory('factory5', ['factory4', function(){}]);
\ No newline at end of file
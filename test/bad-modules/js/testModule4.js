@@ -0,0 +1,17 @@
+'use strict';
+
+angular.module('module4', []);
+
+angular.module('module4').factory('factory6', [function(){}]);
+
+angular.module('module4').directive('directive4', [function(){}]);
+
+angular.module('module5', ['module4']);
+
+angular.module('module5').service('factory6', [function(){}]);
+
+angular.module('module5').directive('directive4', [function(){}]);
+
+angular.module('module5').component('directive4', {template: ''});
+
+angular.module('module5', ['module4']);
\ No newline at end of file
@@ -0,0 +1,3 @@
+'use strict';
+
+angular.module('admin', ['core', 'charts']);
\ No newline at end of file
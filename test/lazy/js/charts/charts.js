@@ -0,0 +1,3 @@
+'use strict';
+
+angular.module('charts', ['core']);
\ No newline at end of file
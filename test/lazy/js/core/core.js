@@ -0,0 +1,3 @@
+'use strict';
+
+angular.module('core', []);
\ No newline at end of file
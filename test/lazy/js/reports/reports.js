@@ -0,0 +1,3 @@
+'use strict';
+
+angular.module('reports', ['charts']);
\ No newline at end of file
@@ -0,0 +1,11 @@
+'use strict';
+
+angular.module('app.services')
+    .service('withInject', WithInject)
+    .factory('ngInjected', /* @ngInject */ function($q, userService) {})
+    .factory('prologue', function($timeout) {
+        'ngInject';
+    });
+
+function WithInject($http, sessionService) {}
+WithInject.$inject = ['$http', 'sessionService'];
\ No newline at end of file
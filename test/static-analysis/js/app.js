@@ -0,0 +1,12 @@
+'use strict';
+
+var isMobile = window.navigator.userAgent.indexOf('Mobile') >= 0;
+
+var app = angular.module('app', ['app.services', 'app.widgets']);
+
+function createApp() {
+    var app = {};
+    return app;
+}
+
+app.controller('MainController', ['$scope', 'userService', function($scope, userService) {}]);
\ No newline at end of file
@@ -0,0 +1,13 @@
+'use strict';
+
+angular.module('app')
+    .config(['configProvider', '$httpProvider', '$provide', function(configProvider, $httpProvider, $provide) {}])
+    .run(['sessionService', 'config', '$rootScope', function(sessionService, config, $rootScope) {}])
+    .config(['userService', function(userService) {}])
+    .run(['configProvider', function(configProvider) {}])
+    .decorator('missingService', ['$delegate', function($delegate) {
+        return $delegate;
+    }])
+    .decorator('sessionService', ['$delegate', 'configProvider', function($delegate, configProvider) {
+        return $delegate;
+    }]);
\ No newline at end of file
@@ -0,0 +1,22 @@
+'use strict';
+
+angular.module('app.widgets')
+    .component('userCard', {
+        bindings: {user: '<'},
+        controller: UserCardController
+    })
+    .directive('focusOn', ['$timeout', function($timeout) {
+        return {
+            controller: ['$scope', '$element', 'userService', function($scope, $element, userService) {}]
+        };
+    }])
+    .filter('userName', ['userService', function(userService) {
+        return function(user) {};
+    }])
+    .animation('.fade', ['$animateCss', function($animateCss) {}])
+    .decorator('sessionService', ['$delegate', function($delegate) {
+        return $delegate;
+    }]);
+
+function UserCardController(sessionService) {}
+UserCardController.$inject = ['sessionService'];
\ No newline at end of file
@@ -0,0 +1,16 @@
+'use strict';
+
+(function(angular) {
+    $(document).ready(function() {});
+
+    angular.module('app.services', [])
+        .factory('userService', ['$http', function($http) {}])
+        .service('sessionService', SessionService)
+        .provider('config', ConfigProvider);
+
+    function SessionService() {}
+
+    function ConfigProvider() {
+        this.$get = ['userService', function(userService) {}];
+    }
+})(window.angular);
\ No newline at end of file
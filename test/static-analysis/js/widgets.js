@@ -0,0 +1,7 @@
+'use strict';
+
+(function(module) {
+    document.body.className = 'loading';
+
+    module.directive('widget', ['sessionService', function(sessionService) {}]);
+})(angular.module('app.widgets', ['app.services']));
\ No newline at end of file
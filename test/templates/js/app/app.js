@@ -0,0 +1,5 @@
+'use strict';
+
+angular.module('app', ['ngRoute', 'widgets']).config(['$routeProvider', function($routeProvider) {
+    $routeProvider.when('/', {templateUrl: '/testPrefix/js/app/views/home.html'});
+}]);
\ No newline at end of file
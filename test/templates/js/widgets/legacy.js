@@ -0,0 +1,4 @@
+// not strict - assigns undeclared global, which throws if strict mode of files bundled before it leaks here
+legacyRegistry = {};
+
+angular.module('widgets').value('legacyRegistry', legacyRegistry);
\ No newline at end of file
@@ -0,0 +1,8 @@
+'use strict';
+
+angular.module('widgets', []).directive('userCard', function() {
+    return {
+        restrict: 'E',
+        templateUrl: '/testPrefix/js/widgets/user-card.html'
+    };
+});
\ No newline at end of file